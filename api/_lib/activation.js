@@ -0,0 +1,126 @@
+// License activation shared by /api/validate and /api/register
+//
+// Checks the key, binds the device to a free seat if it isn't bound yet and
+// issues an access token plus refresh token. Always resolves to the license
+// response contract: { valid, reason, message, ... }.
+
+import { signAccessToken, ACCESS_TOKEN_TTL_SECONDS } from './auth.js';
+import { replaceRefreshTokens, revokeRefreshTokens } from './refresh-tokens.js';
+import { getLicense, getLicenseStatus, listBindings, getSeatLimit, bindDevice } from './licenses.js';
+import { recordDeviceActivity } from './tracking.js';
+import { normalizeTier } from './tiers.js';
+import { ApiError } from './errors.js';
+
+/**
+ * withErrors() envelope for license routes - they answer with
+ * valid/reason/message instead of the default error body
+ * @param {Error} error
+ * @returns {object}
+ */
+export function licenseErrorEnvelope(error) {
+  if (error instanceof ApiError) {
+    return { valid: false, reason: error.code, message: error.message };
+  }
+  return {
+    valid: false,
+    reason: 'ERROR',
+    message: 'Validation error. Please try again later.'
+  };
+}
+
+/**
+ * Validate a license key for a device, binding the device if a seat is free
+ * @param {object} req - Incoming request (for tracking)
+ * @param {object} params
+ * @param {string} params.key - Full license key
+ * @param {string} params.deviceId - Device asking to use the key
+ * @param {string} params.endpoint - Endpoint name recorded in last_endpoint
+ * @returns {Promise<object>} License response body
+ */
+export async function activateLicense(req, { key, deviceId, endpoint }) {
+  // Load the license key from Supabase
+  const licenseData = await getLicense(key);
+
+  // Check if key exists, is not revoked and has not expired
+  const status = getLicenseStatus(licenseData);
+
+  if (status.reason !== 'VALID') {
+    // Kill any refresh tokens still out there for a dead key
+    if (status.reason !== 'INVALID') {
+      try {
+        await revokeRefreshTokens({ licenseKey: key });
+      } catch (revokeError) {
+        console.error('[Activation] Refresh token revoke error:', revokeError);
+      }
+    }
+
+    return {
+      valid: false,
+      reason: status.reason,
+      message: status.message,
+      ...(status.reason === 'EXPIRED' && {
+        tier: normalizeTier(licenseData.tier),
+        expiredAt: licenseData.expires_at
+      })
+    };
+  }
+
+  // Check device bindings - a key may hold up to max_devices seats
+  const bindings = await listBindings(key);
+  const maxDevices = getSeatLimit(licenseData);
+  const existingBinding = bindings.find(binding => binding.device_id === deviceId);
+
+  if (existingBinding) {
+    const token = await signAccessToken(licenseData, deviceId);
+    const refresh = await replaceRefreshTokens(key, deviceId);
+
+    // Update last_seen tracking (don't fail if logging errors)
+    await recordDeviceActivity(req, { deviceId, endpoint });
+
+    return {
+      valid: true,
+      reason: 'VALID',
+      message: 'License validated successfully.',
+      deviceId: deviceId,
+      tier: normalizeTier(licenseData.tier),
+      licenseExpiresAt: licenseData.expires_at || null,
+      token: token,
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+      refreshToken: refresh.refreshToken,
+      refreshTokenExpiresAt: refresh.expiresAt
+    };
+  }
+
+  if (bindings.length >= maxDevices) {
+    return {
+      valid: false,
+      reason: 'DEVICE_MISMATCH',
+      message: maxDevices === 1
+        ? 'This license key is already bound to another device. Each key can only be used on one device.'
+        : `This license key is already in use on ${bindings.length} of ${maxDevices} devices. Remove a device to use it here.`,
+      seatsUsed: bindings.length,
+      maxDevices: maxDevices
+    };
+  }
+
+  await bindDevice(req, key, deviceId, endpoint);
+
+  const token = await signAccessToken(licenseData, deviceId);
+  const refresh = await replaceRefreshTokens(key, deviceId);
+
+  return {
+    valid: true,
+    reason: 'VALID',
+    message: 'License validated successfully. Device registered.',
+    deviceId: deviceId,
+    newDevice: true,
+    seatsUsed: bindings.length + 1,
+    maxDevices: maxDevices,
+    tier: normalizeTier(licenseData.tier),
+    licenseExpiresAt: licenseData.expires_at || null,
+    token: token,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    refreshToken: refresh.refreshToken,
+    refreshTokenExpiresAt: refresh.expiresAt
+  };
+}
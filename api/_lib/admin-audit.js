@@ -0,0 +1,38 @@
+// Audit log for mutating admin calls
+// Every change made through an admin route is written to admin_audit_log with
+// the admin who made it and the before/after values
+
+import { getServiceSupabase } from './supabase.js';
+import { getClientIp, getUserAgent } from './request.js';
+
+/**
+ * Record an admin change. Failures are logged, never thrown - the change has already happened.
+ * @param {object} req - Incoming request (req.admin set by withAdmin())
+ * @param {object} entry
+ * @param {string} entry.action - e.g. 'version.upsert', 'license.revoke'
+ * @param {string} entry.resourceType - e.g. 'extension_version', 'license_key'
+ * @param {string|null} [entry.resourceId] - Row identifier
+ * @param {object|null} [entry.before] - Values before the change
+ * @param {object|null} [entry.after] - Values after the change
+ */
+export async function recordAdminAction(req, { action, resourceType, resourceId = null, before = null, after = null }) {
+  try {
+    const { error } = await getServiceSupabase()
+      .from('admin_audit_log')
+      .insert({
+        admin_key_id: req.admin?.id || null,
+        admin_name: req.admin?.name || 'unknown',
+        action: action,
+        resource_type: resourceType,
+        resource_id: resourceId,
+        before: before,
+        after: after,
+        ip_address: getClientIp(req),
+        user_agent: getUserAgent(req)
+      });
+
+    if (error) throw error;
+  } catch (error) {
+    console.error(`[AdminAudit] Failed to record ${action}:`, error);
+  }
+}
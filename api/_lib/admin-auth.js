@@ -0,0 +1,61 @@
+// Admin authentication for admin-only routes
+//
+// Admins authenticate with a named API key (Authorization: Bearer <key>).
+// Keys live in admin_api_keys as SHA-256 hashes, each with a list of scopes.
+// The old shared ADMIN_API_SECRET is no longer accepted: create a named key
+// instead (see the admin_keys_audit migration).
+// Fails closed: an unknown key, or no keys configured at all, is rejected.
+
+import { createHash } from 'node:crypto';
+import { getServiceSupabase } from './supabase.js';
+import { getBearerToken } from './auth.js';
+
+function hashKey(key) {
+  return createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Resolve the admin behind a request
+ * @param {object} req - Incoming request
+ * @returns {Promise<{ id: string, name: string, scopes: string[] }|null>} Admin, or null if not authenticated
+ */
+export async function authenticateAdmin(req) {
+  const key = getBearerToken(req);
+  if (!key) return null;
+
+  const supabase = getServiceSupabase();
+  const { data, error } = await supabase
+    .from('admin_api_keys')
+    .select('id, name, scopes')
+    .eq('key_hash', hashKey(key))
+    .is('revoked_at', null)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    console.error('[AdminAuth] Key lookup error:', error);
+    return null;
+  }
+
+  if (!data) return null;
+
+  const { error: touchError } = await supabase
+    .from('admin_api_keys')
+    .update({ last_used_at: new Date().toISOString() })
+    .eq('id', data.id);
+
+  if (touchError) {
+    console.error('[AdminAuth] last_used_at update error:', touchError);
+  }
+
+  return { id: data.id, name: data.name, scopes: data.scopes || [] };
+}
+
+/**
+ * @param {{ scopes: string[] }} admin
+ * @param {string} scope - e.g. 'versions:write'
+ * @returns {boolean} True if the admin holds the scope, its resource wildcard or '*'
+ */
+export function hasScope(admin, scope) {
+  const [resource] = scope.split(':');
+  return admin.scopes.some(granted => granted === '*' || granted === scope || granted === `${resource}:*`);
+}
@@ -0,0 +1,111 @@
+// Extension build artifacts, one immutable zip per version
+//
+// Zips are stored in a private Supabase Storage bucket with their SHA-256 and
+// size recorded on the extension_versions row. Downloads go through
+// /api/download, which redirects to a short-lived signed URL.
+
+import { createHash } from 'node:crypto';
+import { getServiceSupabase } from './supabase.js';
+import { ApiError } from './errors.js';
+
+export const ARTIFACT_BUCKET = 'extension-artifacts';
+const SIGNED_URL_TTL_SECONDS = 300;
+const ZIP_MAGIC = Buffer.from([0x50, 0x4b, 0x03, 0x04]); // "PK\x03\x04"
+
+/**
+ * @param {string} version
+ * @returns {string} Storage path of a version's zip
+ */
+export function getArtifactPath(version) {
+  return `honed-${version}.zip`;
+}
+
+/**
+ * Upload a version's zip. Artifacts are never overwritten, so a version's
+ * checksum stays valid for as long as the version exists.
+ * @param {string} version
+ * @param {Buffer} zip - Raw zip bytes
+ * @returns {Promise<{ artifact_path: string, artifact_sha256: string, artifact_size: number }>}
+ */
+export async function storeArtifact(version, zip) {
+  if (!Buffer.isBuffer(zip) || zip.length === 0) {
+    throw new ApiError(400, 'INVALID_REQUEST', 'Send the zip as the raw request body with Content-Type: application/octet-stream');
+  }
+  if (!zip.subarray(0, 4).equals(ZIP_MAGIC)) {
+    throw new ApiError(400, 'INVALID_REQUEST', 'Artifact is not a zip file');
+  }
+
+  const path = getArtifactPath(version);
+
+  const { error } = await getServiceSupabase()
+    .storage
+    .from(ARTIFACT_BUCKET)
+    .upload(path, zip, { contentType: 'application/zip', upsert: false });
+
+  if (error) {
+    if (error.statusCode === '409' || /already exists/i.test(error.message)) {
+      throw new ApiError(409, 'ARTIFACT_EXISTS', `An artifact for version ${version} has already been uploaded`);
+    }
+    throw error;
+  }
+
+  return {
+    artifact_path: path,
+    artifact_sha256: createHash('sha256').update(zip).digest('hex'),
+    artifact_size: zip.length
+  };
+}
+
+/**
+ * @param {string} path - Storage path from extension_versions.artifact_path
+ * @returns {Promise<string>} Signed URL for downloading the artifact
+ */
+export async function createArtifactUrl(path) {
+  const { data, error } = await getServiceSupabase()
+    .storage
+    .from(ARTIFACT_BUCKET)
+    .createSignedUrl(path, SIGNED_URL_TTL_SECONDS);
+
+  if (error) throw error;
+
+  return data.signedUrl;
+}
+
+/**
+ * Public download details for a version - the version-specific route if an
+ * artifact was uploaded, otherwise the legacy free-text download_url
+ * @param {object} versionRow - extension_versions row
+ * @param {string} baseUrl - Public origin, from getBaseUrl()
+ * @returns {{ downloadUrl: string|null, sha256: string|null, size: number|null }}
+ */
+export function getDownloadInfo(versionRow, baseUrl) {
+  if (versionRow.artifact_path) {
+    return {
+      downloadUrl: `${baseUrl}/api/download?version=${encodeURIComponent(versionRow.version)}`,
+      sha256: versionRow.artifact_sha256,
+      size: versionRow.artifact_size
+    };
+  }
+
+  return {
+    downloadUrl: versionRow.download_url || null,
+    sha256: null,
+    size: null
+  };
+}
+
+/**
+ * Delete a version's zip from storage. Failures are logged - an orphaned
+ * object is harmless once its version row is gone.
+ * @param {string} path - Storage path from extension_versions.artifact_path
+ */
+export async function removeArtifact(path) {
+  const { error } = await getServiceSupabase()
+    .storage
+    .from(ARTIFACT_BUCKET)
+    .remove([path]);
+
+  if (error) {
+    console.error(`[Artifacts] Failed to remove ${path}:`, error);
+  }
+}
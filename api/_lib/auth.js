@@ -0,0 +1,122 @@
+// JWT helpers for license tokens
+// Tokens are issued by /api/validate and required by every data route
+
+import { SignJWT, jwtVerify } from 'jose';
+import { normalizeTier } from './tiers.js';
+
+export const TOKEN_PURPOSE = 'honed-license';
+export const ACCESS_TOKEN_TTL_SECONDS = 5 * 60;
+
+const TRANSFER_CODE_PURPOSE = 'honed-transfer';
+export const TRANSFER_CODE_TTL_SECONDS = 15 * 60;
+
+/**
+ * Encode JWT_SECRET for jose - there is deliberately no fallback secret,
+ * so a missing variable fails closed instead of signing with a known key
+ * @returns {Uint8Array}
+ */
+function getSecretKey() {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+  return new TextEncoder().encode(secret);
+}
+
+/**
+ * Issue a short-lived access token for a validated license/device pair
+ * @param {object} license - license_keys row (only a prefix of the key is embedded)
+ * @param {string} deviceId - Device the license is bound to
+ * @returns {Promise<string>} Signed JWT
+ */
+export async function signAccessToken(license, deviceId) {
+  return new SignJWT({
+    licenseKey: license.key.substring(0, 8) + '...',
+    deviceId: deviceId,
+    tier: normalizeTier(license.tier),
+    purpose: TOKEN_PURPOSE
+  })
+    .setProtectedHeader({ alg: 'HS256' })
+    .setIssuedAt()
+    .setExpirationTime(`${ACCESS_TOKEN_TTL_SECONDS}s`)
+    .sign(getSecretKey());
+}
+
+/**
+ * Verify JWT token for license validation
+ * @param {string} token - JWT token to verify
+ * @returns {Promise<object|null>} Decoded payload if valid, null if invalid
+ */
+export async function verifyToken(token) {
+  try {
+    const { payload } = await jwtVerify(token, getSecretKey());
+    if (payload.purpose !== TOKEN_PURPOSE) {
+      return null;
+    }
+    return payload;
+  } catch (error) {
+    if (!process.env.JWT_SECRET) {
+      console.error('[Auth] Rejecting token:', error.message);
+    }
+    return null;
+  }
+}
+
+/**
+ * Issue a signed code that lets another device take over a license binding
+ * @param {string} licenseKey - Full license key (only a prefix is embedded)
+ * @param {string} deviceId - Device currently bound, which the code transfers away from
+ * @returns {Promise<string>} Signed JWT
+ */
+export async function signTransferCode(licenseKey, deviceId) {
+  return new SignJWT({
+    licenseKey: licenseKey.substring(0, 8) + '...',
+    deviceId: deviceId,
+    purpose: TRANSFER_CODE_PURPOSE
+  })
+    .setProtectedHeader({ alg: 'HS256' })
+    .setIssuedAt()
+    .setExpirationTime(`${TRANSFER_CODE_TTL_SECONDS}s`)
+    .sign(getSecretKey());
+}
+
+/**
+ * Verify a transfer code issued by signTransferCode()
+ * @param {string} code - Transfer code
+ * @returns {Promise<object|null>} Decoded payload if valid, null if invalid
+ */
+export async function verifyTransferCode(code) {
+  try {
+    const { payload } = await jwtVerify(code, getSecretKey());
+    if (payload.purpose !== TRANSFER_CODE_PURPOSE) {
+      return null;
+    }
+    return payload;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check that a token payload was issued for this license key
+ * (tokens only carry the first 8 characters of the key)
+ * @param {object} payload - Decoded token or transfer code
+ * @param {string} licenseKey - Full license key
+ * @returns {boolean}
+ */
+export function tokenMatchesLicense(payload, licenseKey) {
+  return payload.licenseKey === licenseKey.substring(0, 8) + '...';
+}
+
+/**
+ * Extract the bearer token from the Authorization header
+ * @param {object} req - Incoming request
+ * @returns {string|null} Token, or null if the header is missing or malformed
+ */
+export function getBearerToken(req) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return null;
+  }
+  return authHeader.substring(7);
+}
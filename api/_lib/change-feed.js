@@ -0,0 +1,120 @@
+// Change feed over the data_changes log (see the change_feed migrations)
+//
+// Log entries are read in commit order: by (txid, id), and only from
+// transactions older than every one still running, so a long transaction can't
+// commit entries behind a cursor that has already moved on. Cursors are opaque
+// to clients: base64url JSON holding that position. A cursor older than the
+// pruning horizon can't be replayed, so the client has to resync from a full
+// snapshot.
+
+import { getServiceSupabase } from './supabase.js';
+import { ApiError } from './errors.js';
+
+// v1 cursors held a bare change ID and are answered with a resync
+const CURSOR_VERSION = 2;
+
+/**
+ * @typedef {object} FeedPosition
+ * @property {string} txid - Transaction that wrote the entry (xid8, as a decimal string)
+ * @property {number} id - Entry ID within the log
+ */
+
+/**
+ * @param {FeedPosition} position - Last log entry the client has applied
+ * @returns {string} Opaque cursor
+ */
+export function encodeCursor(position) {
+  return Buffer.from(JSON.stringify({ v: CURSOR_VERSION, tx: position.txid, id: position.id })).toString('base64url');
+}
+
+/**
+ * @param {string} cursor - Cursor from a previous response
+ * @returns {FeedPosition|null} Position it points at, or null for a cursor
+ *   from before commit-order reads (the client has to resync)
+ */
+export function decodeCursor(cursor) {
+  try {
+    const { v, tx, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (Number.isSafeInteger(id) && id >= 0) {
+      if (v === 1) return null;
+      if (v === CURSOR_VERSION && typeof tx === 'string' && /^\d{1,20}$/.test(tx)) {
+        return { txid: tx, id: id };
+      }
+    }
+  } catch {
+    // fall through
+  }
+  throw new ApiError(400, 'INVALID_CURSOR', 'Cursor is malformed. Resync and use the cursor it returns.');
+}
+
+/**
+ * @param {FeedPosition} a
+ * @param {FeedPosition} b
+ * @returns {number} Negative if a comes first, positive if b does, 0 if equal
+ */
+export function comparePositions(a, b) {
+  const txidA = BigInt(a.txid);
+  const txidB = BigInt(b.txid);
+
+  if (txidA !== txidB) return txidA < txidB ? -1 : 1;
+  return Math.sign(a.id - b.id);
+}
+
+/**
+ * @returns {Promise<FeedPosition>} Position of the newest visible change, or
+ *   the horizon if there is none
+ */
+export async function getHeadPosition() {
+  const { data, error } = await getServiceSupabase()
+    .rpc('data_changes_head')
+    .maybeSingle();
+
+  if (error) throw error;
+  if (data) return { txid: String(data.txid), id: data.id };
+
+  return getPrunedThrough();
+}
+
+/**
+ * @returns {Promise<FeedPosition>} Last position that has been pruned from the log
+ */
+export async function getPrunedThrough() {
+  const { data, error } = await getServiceSupabase()
+    .from('data_changes_horizon')
+    .select('pruned_through_txid, pruned_through')
+    .maybeSingle();
+
+  if (error) throw error;
+
+  return { txid: String(data?.pruned_through_txid ?? 0), id: data?.pruned_through || 0 };
+}
+
+/**
+ * Read changes after a position, collapsed to the last operation per row
+ * @param {FeedPosition} after - Cursor position
+ * @param {number} limit - Max log entries to read
+ * @returns {Promise<{ lastPosition: FeedPosition, hasMore: boolean, admins: Map<string, string>, tokens: Map<string, string> }>}
+ *   Maps of row key -> 'upsert' | 'delete'
+ */
+export async function readChanges(after, limit) {
+  const { data, error } = await getServiceSupabase()
+    .rpc('read_data_changes', { p_after_txid: after.txid, p_after_id: after.id, p_limit: limit + 1 });
+
+  if (error) throw error;
+
+  const entries = (data || []).slice(0, limit);
+  const changes = { admin: new Map(), token: new Map() };
+
+  for (const entry of entries) {
+    changes[entry.entity].set(entry.entity_key, entry.op);
+  }
+
+  const last = entries[entries.length - 1];
+
+  return {
+    lastPosition: last ? { txid: String(last.txid), id: last.id } : after,
+    hasMore: (data || []).length > limit,
+    admins: changes.admin,
+    tokens: changes.token
+  };
+}
@@ -0,0 +1,158 @@
+// Server-side community verification
+//
+// Cross-references a community's creator and moderators against the admins
+// table, and the community link against past tokens, so every client shows the
+// same badge. A community is only VERIFIED for the first token that used it.
+
+import { getSupabase } from './supabase.js';
+
+const MAX_PRIOR_TOKENS = 10;
+
+/**
+ * @param {object|undefined} user - User object from twitterapi.io
+ * @returns {string|null} Lowercase handle
+ */
+function handleOf(user) {
+  const handle = user?.screen_name || user?.userName || user?.username;
+  return handle ? handle.toLowerCase().trim() : null;
+}
+
+/**
+ * Creator and moderator handles from a twitterapi.io community payload
+ * @param {object} communityData - /community/info response
+ * @returns {{ creator: string|null, moderators: string[] }}
+ */
+export function getCommunityStaff(communityData) {
+  const info = communityData?.community_info || {};
+  const creator = handleOf(info.creator) || handleOf(info.admin);
+
+  const moderators = [info.admin, ...(Array.isArray(info.moderators) ? info.moderators : [])]
+    .map(handleOf)
+    .filter(handle => handle && handle !== creator);
+
+  return { creator, moderators: [...new Set(moderators)] };
+}
+
+async function findAdmins(usernames) {
+  if (usernames.length === 0) return [];
+
+  // admin_username casing isn't consistent, so match case-insensitively and
+  // drop the rows where ilike treated '_' in a handle as a wildcard
+  const { data, error } = await getSupabase()
+    .from('admins')
+    .select('admin_username, total_rating, total_tokens_created, winrate')
+    .or(usernames.map(username => `admin_username.ilike.${username}`).join(','));
+
+  if (error) throw error;
+
+  return (data || []).filter(admin => usernames.includes(admin.admin_username.toLowerCase()));
+}
+
+// Every token whose community link points at this community, oldest first
+async function findCommunityTokens(communityId) {
+  // Match the exact ID, not IDs that merely start with it
+  const pattern = `"communities/${communityId}([/?#]|$)"`;
+
+  const { data, error } = await getSupabase()
+    .from('tokens')
+    .select('base_token, token_name, token_symbol, admin_username, created_at')
+    .or(`twitter_url.imatch.${pattern},website_url.imatch.${pattern}`)
+    .order('created_at', { ascending: true })
+    .limit(MAX_PRIOR_TOKENS + 1);
+
+  if (error) throw error;
+
+  return data || [];
+}
+
+/**
+ * Build a verification verdict for a community
+ * @param {object} params
+ * @param {string} params.communityId - Numeric community ID
+ * @param {object} params.communityData - /community/info response
+ * @param {string} [params.tokenAddress] - Token being viewed; its own row doesn't count as reuse.
+ *   Without it, a community only one token has used is on its first use.
+ * @returns {Promise<object>} Verdict with status, isVerified, reasons and the evidence behind them
+ */
+export async function verifyCommunity({ communityId, communityData, tokenAddress = null }) {
+  const { creator, moderators } = getCommunityStaff(communityData);
+  const reasons = [];
+
+  const [knownAdmins, communityTokens] = await Promise.all([
+    findAdmins([creator, ...moderators].filter(Boolean)),
+    findCommunityTokens(communityId)
+  ]);
+
+  const adminsByName = new Map(knownAdmins.map(admin => [admin.admin_username.toLowerCase(), admin]));
+  const currentToken = tokenAddress
+    ? communityTokens.find(token => token.base_token === tokenAddress)
+    : null;
+  const priorTokens = !tokenAddress && communityTokens.length <= 1
+    ? []
+    : communityTokens.filter(token =>
+      token.base_token !== tokenAddress &&
+      (!currentToken || Number(token.created_at) <= Number(currentToken.created_at))
+    );
+  const firstToken = priorTokens[0] || null;
+
+  let status;
+
+  if (!creator) {
+    status = 'UNKNOWN';
+    reasons.push({ code: 'NO_CREATOR', severity: 'info', message: 'Community has no visible creator.' });
+  } else if (firstToken) {
+    status = 'REUSED';
+    const firstAdmin = (firstToken.admin_username || '').toLowerCase();
+    reasons.push(firstAdmin && firstAdmin !== creator
+      ? { code: 'COMMUNITY_REUSED_BY_OTHER_ADMIN', severity: 'negative', message: `Community was first used by @${firstAdmin} for ${firstToken.token_symbol || firstToken.base_token}.` }
+      : { code: 'COMMUNITY_REUSED', severity: 'negative', message: `Community was already used for ${firstToken.token_symbol || firstToken.base_token}.` });
+  } else {
+    status = 'VERIFIED';
+    reasons.push({ code: 'FIRST_TOKEN_FOR_COMMUNITY', severity: 'positive', message: 'First token launched with this community.' });
+  }
+
+  if (currentToken?.admin_username && creator && currentToken.admin_username.toLowerCase() !== creator) {
+    status = status === 'VERIFIED' ? 'UNVERIFIED' : status;
+    reasons.push({ code: 'ADMIN_MISMATCH', severity: 'negative', message: `Token is attributed to @${currentToken.admin_username.toLowerCase()}, not the community creator @${creator}.` });
+  }
+
+  if (creator && adminsByName.has(creator)) {
+    reasons.push({ code: 'CREATOR_KNOWN_ADMIN', severity: 'info', message: `Creator @${creator} is a tracked admin.` });
+  }
+
+  for (const moderator of moderators) {
+    if (adminsByName.has(moderator)) {
+      reasons.push({ code: 'MODERATOR_KNOWN_ADMIN', severity: 'info', message: `Moderator @${moderator} is a tracked admin.` });
+    }
+  }
+
+  const describe = (username) => {
+    const admin = adminsByName.get(username);
+    return {
+      username: username,
+      knownAdmin: Boolean(admin),
+      totalRating: admin?.total_rating ?? null,
+      totalTokensCreated: admin?.total_tokens_created ?? null,
+      winrate: admin?.winrate ?? null
+    };
+  };
+
+  return {
+    communityId: communityId,
+    status: status,
+    // Same fields the extension's badge already reads
+    isVerified: status === 'VERIFIED',
+    isFirstToken: !firstToken,
+    firstTokenAdmin: firstToken?.admin_username?.toLowerCase() || null,
+    reasons: reasons,
+    creator: creator ? describe(creator) : null,
+    moderators: moderators.map(describe),
+    priorTokens: priorTokens.slice(0, MAX_PRIOR_TOKENS).map(token => ({
+      baseToken: token.base_token,
+      tokenName: token.token_name,
+      tokenSymbol: token.token_symbol,
+      adminUsername: token.admin_username?.toLowerCase() || null,
+      createdAt: token.created_at
+    }))
+  };
+}
@@ -0,0 +1,30 @@
+// Bounded-concurrency helpers
+
+/**
+ * Map over items with at most `limit` calls running at once.
+ * Never rejects: each result is { ok: true, value } or { ok: false, error }.
+ * @param {Array} items
+ * @param {number} limit - Maximum concurrent calls
+ * @param {(item: any, index: number) => Promise<any>} fn
+ * @returns {Promise<Array<{ ok: boolean, value?: any, error?: Error }>>} Results in input order
+ */
+export async function mapSettled(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { ok: true, value: await fn(items[index], index) };
+      } catch (error) {
+        results[index] = { ok: false, error };
+      }
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
+  await Promise.all(workers);
+
+  return results;
+}
@@ -0,0 +1,267 @@
+// Output formats for admins and tokens, shared by every data route
+//
+// legacy: the Sheets-compatible 2D arrays older extension versions parse -
+//         every value is a display string (winrate as a percent, "1h 23m",
+//         "24d ago" computed at response time)
+// v2:     typed objects - numbers as numbers, raw epoch-second timestamps,
+//         explicit nulls for missing values
+//
+// Clients opt into v2 with ?format=v2 or Accept: application/vnd.honed.v2+json.
+
+import { ApiError } from './errors.js';
+
+export const V2_MEDIA_TYPE = 'application/vnd.honed.v2+json';
+
+/**
+ * Calculate token age from Unix timestamp
+ * @param {number} unixTimestamp - Unix timestamp in seconds
+ * @returns {string} Formatted age string (e.g., "24d ago")
+ */
+function calculateTokenAge(unixTimestamp) {
+  if (!unixTimestamp) return '';
+
+  const now = Math.floor(Date.now() / 1000);
+  const diff = now - unixTimestamp;
+
+  const days = Math.floor(diff / 86400);
+  const hours = Math.floor((diff % 86400) / 3600);
+  const minutes = Math.floor((diff % 3600) / 60);
+
+  if (days > 0) {
+    return `${days}d ago`;
+  } else if (hours > 0) {
+    return `${hours}h ago`;
+  } else if (minutes > 0) {
+    return `${minutes}m ago`;
+  } else {
+    return 'Just now';
+  }
+}
+
+/**
+ * Format migrate time from seconds to human readable format
+ * @param {number} seconds - Average seconds to migration
+ * @returns {string} Formatted time string (e.g., "1h 23m", "45m", "2h 15m")
+ */
+function formatMigrateTime(seconds) {
+  if (!seconds || seconds === 0) return '';
+
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+
+  if (hours > 0) {
+    return `${hours}h ${minutes}m`;
+  } else if (minutes > 0) {
+    return `${minutes}m`;
+  } else {
+    return '< 1m';
+  }
+}
+
+/**
+ * Format timestamp - handles Unix timestamps (seconds as number or string) and ISO strings
+ * @param {number|string} timestamp - Unix timestamp (seconds) or ISO date string
+ * @returns {string} ISO date string or empty string
+ */
+function formatTimestamp(timestamp) {
+  if (!timestamp) return '';
+
+  // If it's already an ISO format string (contains 'T' or '-'), return it as-is
+  if (typeof timestamp === 'string' && (timestamp.includes('T') || timestamp.includes('-'))) {
+    return timestamp;
+  }
+
+  // Convert to number if it's a string representation of a Unix timestamp
+  const numTimestamp = typeof timestamp === 'string' ? parseInt(timestamp, 10) : timestamp;
+
+  // If we got a valid number, treat it as Unix timestamp in seconds
+  if (typeof numTimestamp === 'number' && !isNaN(numTimestamp) && numTimestamp > 0) {
+    return new Date(numTimestamp * 1000).toISOString();
+  }
+
+  return '';
+}
+
+/**
+ * Transform Supabase admins data to Sheets format (2D array)
+ * @param {Array} admins - Admins from Supabase
+ * @returns {Array} 2D array matching Sheets format
+ */
+export function transformAdminsToSheetsFormat(admins) {
+  if (!admins || admins.length === 0) {
+    return [['admin_username', 'total_rating', 'tokens_score_0', 'tokens_score_1', 'tokens_score_2', 'tokens_score_3', 'tokens_score_4', 'tokens_score_5', 'tokens_score_6', 'total_tokens_created', 'winrate', 'avg_migrate_time', 'last_active', 'last_updated']];
+  }
+
+  const header = ['admin_username', 'total_rating', 'tokens_score_0', 'tokens_score_1', 'tokens_score_2', 'tokens_score_3', 'tokens_score_4', 'tokens_score_5', 'tokens_score_6', 'total_tokens_created', 'winrate', 'avg_migrate_time', 'last_active', 'last_updated'];
+
+  const rows = admins.map(admin => [
+    // Convert admin_username to lowercase to match parsing logic
+    (admin.admin_username || '').toLowerCase().trim(),
+    admin.total_rating?.toString() || '0',
+    admin.tokens_score_0?.toString() || '0',
+    admin.tokens_score_1?.toString() || '0',
+    admin.tokens_score_2?.toString() || '0',
+    admin.tokens_score_3?.toString() || '0',
+    admin.tokens_score_4?.toString() || '0',
+    admin.tokens_score_5?.toString() || '0',
+    admin.tokens_score_6?.toString() || '0',
+    admin.total_tokens_created?.toString() || '0',
+    // Convert winrate from decimal (0-1) to percentage (0-100)
+    ((admin.winrate || 0) * 100).toString(),
+    // avg_migrate_time is in seconds, convert to human readable format
+    admin.avg_migrate_time ? formatMigrateTime(admin.avg_migrate_time) : '',
+    // Handle timestamp - could be Unix timestamp (number) or ISO string
+    formatTimestamp(admin.last_active),
+    // Handle timestamp - could be Unix timestamp (number) or ISO string
+    formatTimestamp(admin.last_updated)
+  ]);
+
+  return [header, ...rows];
+}
+
+/**
+ * Transform Supabase tokens data to Sheets format (2D array)
+ * @param {Array} tokens - Tokens from Supabase
+ * @param {object} [options]
+ * @param {boolean} [options.includeCreatedAt=true] - Append the created_at column
+ *   (/api/supabase/recent has always returned the table without it)
+ * @returns {Array} 2D array matching Sheets format
+ */
+export function transformTokensToSheetsFormat(tokens, { includeCreatedAt = true } = {}) {
+  if (!includeCreatedAt) {
+    return transformTokensToSheetsFormat(tokens).map(row => row.slice(0, -1));
+  }
+
+  if (!tokens || tokens.length === 0) {
+    return [['admin_username', 'base_token', 'token_name', 'token_symbol', 'community_link', 'token_age', 'market_cap', 'ath_market_cap', 'token_score', 'created_at']];
+  }
+
+  const header = ['admin_username', 'base_token', 'token_name', 'token_symbol', 'community_link', 'token_age', 'market_cap', 'ath_market_cap', 'token_score', 'created_at'];
+
+  const rows = tokens.map(token => [
+    // Convert admin_username to lowercase to match parsing logic
+    (token.admin_username || '').toLowerCase().trim(),
+    token.base_token || '',
+    token.token_name || '',
+    token.token_symbol || '',
+    // Map twitter_url or website_url to community_link
+    token.twitter_url || token.website_url || '',
+    // Calculate token_age from created_at Unix timestamp
+    calculateTokenAge(token.created_at),
+    // market_cap is a REAL number, convert to string
+    (token.market_cap ?? 0).toString(),
+    // ath_market_cap is TEXT in Supabase - return as-is (already a string)
+    token.ath_market_cap || '0',
+    token.token_score?.toString() || '0',
+    // Include created_at timestamp for accurate daily stats calculation
+    token.created_at?.toString() || ''
+  ]);
+
+  return [header, ...rows];
+}
+
+/**
+ * Parse a numeric column that may arrive as a number or as text
+ * @param {number|string|null} value
+ * @returns {number|null} Finite number, or null
+ */
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = typeof value === 'number' ? value : Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Normalize a timestamp column to epoch seconds
+ * @param {number|string|null} timestamp - Unix seconds (number or string) or ISO string
+ * @returns {number|null} Epoch seconds, or null
+ */
+function toEpochSeconds(timestamp) {
+  if (timestamp === null || timestamp === undefined || timestamp === '') return null;
+
+  if (typeof timestamp === 'string' && (timestamp.includes('T') || timestamp.includes('-'))) {
+    const ms = Date.parse(timestamp);
+    return isNaN(ms) ? null : Math.floor(ms / 1000);
+  }
+
+  const seconds = toNumber(timestamp);
+  return seconds !== null && seconds > 0 ? Math.floor(seconds) : null;
+}
+
+/**
+ * Transform Supabase admins data to typed v2 objects
+ * @param {Array} admins - Admins from Supabase
+ * @returns {Array<object>}
+ */
+export function transformAdminsToV2(admins) {
+  return (admins || []).map(admin => ({
+    adminUsername: admin.admin_username?.toLowerCase().trim() || null,
+    totalRating: toNumber(admin.total_rating),
+    tokensByScore: [0, 1, 2, 3, 4, 5, 6].map(score => toNumber(admin[`tokens_score_${score}`])),
+    totalTokensCreated: toNumber(admin.total_tokens_created),
+    // Fraction 0-1, not a percentage
+    winrate: toNumber(admin.winrate),
+    avgMigrateTimeSeconds: toNumber(admin.avg_migrate_time),
+    lastActive: toEpochSeconds(admin.last_active),
+    lastUpdated: toEpochSeconds(admin.last_updated)
+  }));
+}
+
+/**
+ * Transform Supabase tokens data to typed v2 objects
+ * @param {Array} tokens - Tokens from Supabase
+ * @returns {Array<object>}
+ */
+export function transformTokensToV2(tokens) {
+  return (tokens || []).map(token => ({
+    adminUsername: token.admin_username?.toLowerCase().trim() || null,
+    baseToken: token.base_token || null,
+    tokenName: token.token_name || null,
+    tokenSymbol: token.token_symbol || null,
+    communityLink: token.twitter_url || token.website_url || null,
+    marketCap: toNumber(token.market_cap),
+    // ath_market_cap is TEXT in Supabase
+    athMarketCap: toNumber(token.ath_market_cap),
+    tokenScore: toNumber(token.token_score),
+    createdAt: toEpochSeconds(token.created_at),
+    lastUpdated: toEpochSeconds(token.last_updated)
+  }));
+}
+
+/**
+ * Pick the response format from ?format= or the Accept header
+ * @param {object} req - Incoming request
+ * @returns {'legacy'|'v2'}
+ */
+export function negotiateFormat(req) {
+  const requested = req.query.format ||
+    (req.headers.accept?.includes(V2_MEDIA_TYPE) ? 'v2' : 'legacy');
+
+  if (requested === 'v2') return 'v2';
+  if (requested === 'legacy' || requested === 'v1') return 'legacy';
+
+  throw new ApiError(400, 'INVALID_REQUEST', 'format must be legacy or v2');
+}
+
+/**
+ * Render admins and tokens in the negotiated format
+ * @param {'legacy'|'v2'} format
+ * @param {object} data
+ * @param {Array} data.admins - Admins from Supabase
+ * @param {Array} data.tokens - Tokens from Supabase
+ * @param {object} [options] - Passed to transformTokensToSheetsFormat() for legacy output
+ * @returns {{ admins: Array, tokens: Array }}
+ */
+export function formatRows(format, { admins, tokens }, options) {
+  if (format === 'v2') {
+    return {
+      admins: transformAdminsToV2(admins),
+      tokens: transformTokensToV2(tokens)
+    };
+  }
+
+  return {
+    admins: transformAdminsToSheetsFormat(admins || []),
+    tokens: transformTokensToSheetsFormat(tokens || [], options)
+  };
+}
@@ -0,0 +1,210 @@
+// Versioned snapshots of the full admins/tokens dump
+//
+// A full sync used to read every row for every device. Instead the dump is
+// built once per data version - the head of the data_changes log - and stored
+// precompressed (gzip and brotli) in the data-snapshots bucket, where every
+// instance can reuse it. While the data is unchanged a sync costs one log
+// lookup, and a 304 when the client sends the ETag back.
+//
+// Legacy bodies carry "24d ago" ages computed when they're built, so legacy
+// snapshots are also rebuilt every LEGACY_REFRESH_SECONDS. v2 snapshots only
+// change with the data.
+
+import { gzipSync, gunzipSync, brotliCompressSync, constants as zlibConstants } from 'node:zlib';
+import { getServiceSupabase } from './supabase.js';
+import { comparePositions, getHeadPosition } from './change-feed.js';
+import { createEtag, getAcceptedEncoding } from './request.js';
+
+export const SNAPSHOT_BUCKET = 'data-snapshots';
+
+// Bump when snapshot bodies change shape, so stored ones aren't served again
+const SNAPSHOT_SCHEMA = 4;
+const LEGACY_REFRESH_SECONDS = 15 * 60;
+// Brotli's default quality (11) takes seconds on a multi-MB dump
+const BROTLI_QUALITY = 5;
+
+// Storage file extension per content encoding, in order of preference
+const ENCODINGS = {
+  br: 'json.br',
+  gzip: 'json.gz'
+};
+
+const latestByFormat = new Map();
+const inFlight = new Map();
+
+/**
+ * Current snapshot version for a format. Cheap: one read of the change log.
+ * @param {'legacy'|'v2'} format
+ * @returns {Promise<{ format: string, position: object, name: string, etag: string }>}
+ */
+export async function getSnapshotVersion(format) {
+  const position = await getHeadPosition();
+  const epoch = format === 'legacy' ? Math.floor(Date.now() / 1000 / LEGACY_REFRESH_SECONDS) : 0;
+  const name = `${SNAPSHOT_SCHEMA}-${position.txid}-${position.id}-${epoch}`;
+
+  return {
+    format: format,
+    position: position,
+    name: name,
+    etag: createEtag(`${format}/${name}`)
+  };
+}
+
+/**
+ * Load the snapshot for a version: from this instance, from storage, or by
+ * building it. Concurrent callers on one instance share a single build.
+ * @param {object} version - From getSnapshotVersion()
+ * @param {() => Promise<object>} buildBody - Builds the response body from the database
+ * @returns {Promise<{ version: object, source: 'memory'|'storage'|'built', br: Buffer, gzip: Buffer }>}
+ */
+export async function getSnapshot(version, buildBody) {
+  const cached = latestByFormat.get(version.format);
+  if (cached?.version.etag === version.etag) {
+    return { ...cached, source: 'memory' };
+  }
+
+  const key = `${version.format}/${version.name}`;
+  if (inFlight.has(key)) {
+    return inFlight.get(key);
+  }
+
+  const promise = loadSnapshot(version, buildBody)
+    .then(snapshot => {
+      latestByFormat.set(version.format, snapshot);
+      return snapshot;
+    })
+    .finally(() => inFlight.delete(key));
+
+  inFlight.set(key, promise);
+  return promise;
+}
+
+async function loadSnapshot(version, buildBody) {
+  const stored = await downloadSnapshot(version);
+  if (stored) {
+    return { version, source: 'storage', ...stored };
+  }
+
+  const started = Date.now();
+  const body = Buffer.from(JSON.stringify(await buildBody()));
+  const encoded = {
+    br: brotliCompressSync(body, { params: { [zlibConstants.BROTLI_PARAM_QUALITY]: BROTLI_QUALITY } }),
+    gzip: gzipSync(body)
+  };
+
+  console.log(`[Snapshots] Built ${version.format}/${version.name}: ${body.length} bytes ` +
+    `(br ${encoded.br.length}, gzip ${encoded.gzip.length}) in ${Date.now() - started}ms`);
+
+  // Another instance may have stored this version while we were building; serve
+  // its copy so every client sees the same bytes for the same ETag
+  if (!await uploadSnapshot(version, encoded)) {
+    const winner = await downloadSnapshot(version);
+    if (winner) {
+      return { version, source: 'storage', ...winner };
+    }
+  }
+
+  return { version, source: 'built', ...encoded };
+}
+
+async function downloadSnapshot(version) {
+  const bucket = getServiceSupabase().storage.from(SNAPSHOT_BUCKET);
+
+  const results = await Promise.all(
+    Object.values(ENCODINGS).map(ext => bucket.download(`${version.format}/${version.name}.${ext}`))
+  );
+
+  // A missing object is the normal miss; anything else is logged and rebuilt
+  if (results.some(({ error }) => error)) {
+    const failure = results.find(({ error }) => error && !/not found/i.test(error.message));
+    if (failure) {
+      console.error(`[Snapshots] Failed to read ${version.format}/${version.name}:`, failure.error);
+    }
+    return null;
+  }
+
+  const buffers = await Promise.all(results.map(async ({ data }) => Buffer.from(await data.arrayBuffer())));
+  return Object.fromEntries(Object.keys(ENCODINGS).map((encoding, i) => [encoding, buffers[i]]));
+}
+
+/**
+ * Store a built snapshot. Snapshots are never overwritten.
+ * @returns {Promise<boolean>} False if this version was already stored (or storing failed)
+ */
+async function uploadSnapshot(version, encoded) {
+  const bucket = getServiceSupabase().storage.from(SNAPSHOT_BUCKET);
+
+  const results = await Promise.all(
+    Object.entries(ENCODINGS).map(([encoding, ext]) =>
+      bucket.upload(`${version.format}/${version.name}.${ext}`, encoded[encoding], {
+        contentType: 'application/json',
+        upsert: false
+      })
+    )
+  );
+
+  const failure = results.find(({ error }) => error);
+  if (failure) {
+    if (failure.error.statusCode !== '409' && !/already exists/i.test(failure.error.message)) {
+      console.error(`[Snapshots] Failed to store ${version.format}/${version.name}:`, failure.error);
+    }
+    return false;
+  }
+
+  await pruneSnapshots(version);
+  return true;
+}
+
+/**
+ * Remove stored snapshots older than the given version. Failures are logged -
+ * stale objects only cost storage.
+ * @param {object} version - Newest stored version
+ */
+async function pruneSnapshots(version) {
+  const bucket = getServiceSupabase().storage.from(SNAPSHOT_BUCKET);
+  const epoch = Number(version.name.split('-')[3]);
+
+  const { data, error } = await bucket.list(version.format, { limit: 100 });
+  if (error) {
+    console.error(`[Snapshots] Failed to list ${version.format} snapshots:`, error);
+    return;
+  }
+
+  const stale = (data || [])
+    .filter(({ name }) => {
+      const [schema, txid, id, otherEpoch] = name.split('.')[0].split('-');
+      if (Number(schema) !== SNAPSHOT_SCHEMA) return true;
+
+      const order = comparePositions({ txid: txid, id: Number(id) }, version.position);
+      return order < 0 || (order === 0 && Number(otherEpoch) < epoch);
+    })
+    .map(({ name }) => `${version.format}/${name}`);
+
+  if (stale.length === 0) return;
+
+  const { error: removeError } = await bucket.remove(stale);
+  if (removeError) {
+    console.error(`[Snapshots] Failed to remove ${stale.length} old snapshots:`, removeError);
+  }
+}
+
+/**
+ * Send a snapshot in the best encoding the client accepts. The caller sets
+ * ETag and caching headers.
+ * @param {object} req
+ * @param {object} res
+ * @param {object} snapshot - From getSnapshot()
+ */
+export function sendSnapshot(req, res, snapshot) {
+  const encoding = getAcceptedEncoding(req, Object.keys(ENCODINGS));
+  const body = encoding ? snapshot[encoding] : gunzipSync(snapshot.gzip);
+
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.setHeader('Content-Length', body.length);
+  res.setHeader('X-Cache', snapshot.source === 'built' ? 'MISS' : 'HIT');
+  if (encoding) {
+    res.setHeader('Content-Encoding', encoding);
+  }
+
+  return res.status(200).send(body);
+}
@@ -0,0 +1,82 @@
+// Paginated reads of the admins and tokens tables
+//
+// PostgREST caps responses at 1000 rows, so full reads walk the table a page
+// at a time. Pages are ordered on a unique key so rows can't shift between
+// pages while the walk is in progress.
+
+import { getSupabase } from './supabase.js';
+
+export const DATASET_PAGE_SIZE = 1000;
+
+const DATASETS = {
+  admins: (supabase, columns, options) => supabase
+    .from('admins')
+    .select(columns, options)
+    .order('admin_username', { ascending: true }),
+
+  // Tokens with a NULL admin_username are invalid and never sent to clients
+  tokens: (supabase, columns, options) => supabase
+    .from('tokens')
+    .select(columns, options)
+    .not('admin_username', 'is', null)
+    .order('admin_username', { ascending: true })
+    .order('base_token', { ascending: true })
+};
+
+/**
+ * Read a table one page at a time
+ * @param {'admins'|'tokens'} table
+ * @param {object} [options]
+ * @param {number|null} [options.since] - Only rows with last_updated after this (seconds)
+ * @param {string} [options.columns='*'] - Columns to select
+ * @param {(query: object) => void} [options.where] - Adds filters to each page's query
+ * @param {number} [options.pageSize=DATASET_PAGE_SIZE]
+ * @yields {{ rows: object[], total: number|null }} total is the matching row count,
+ *   known from the first page on
+ */
+export async function* readPages(table, { since = null, columns = '*', where = null, pageSize = DATASET_PAGE_SIZE } = {}) {
+  const supabase = getSupabase();
+  let total = null;
+
+  for (let page = 0; ; page++) {
+    // Only the first page pays for the exact count
+    const query = DATASETS[table](supabase, columns, page === 0 ? { count: 'exact' } : undefined);
+
+    if (since) {
+      query.gt('last_updated', since);
+    }
+    if (where) {
+      where(query);
+    }
+
+    const { data, error, count } = await query.range(page * pageSize, (page + 1) * pageSize - 1);
+
+    if (error) throw error;
+    if (page === 0) total = count ?? null;
+    if (!data || data.length === 0) return;
+
+    yield { rows: data, total: total };
+
+    // A short page is the last one
+    if (data.length < pageSize) return;
+  }
+}
+
+/**
+ * Read every matching row of a table into memory
+ * @param {'admins'|'tokens'} table
+ * @param {object} [options] - See readPages()
+ * @returns {Promise<object[]>}
+ */
+export async function readAllRows(table, options) {
+  let rows = [];
+
+  for await (const page of readPages(table, options)) {
+    rows = rows.concat(page.rows);
+
+    // Log progress for large datasets
+    console.log(`[Dataset] Fetched ${rows.length} of ${page.total || '?'} ${table}...`);
+  }
+
+  return rows;
+}
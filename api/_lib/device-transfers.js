@@ -0,0 +1,126 @@
+// Self-service device transfers
+//
+// A license binding moves from one device to another either directly (old
+// device's access token) or through a transfer code the old device generated.
+// Every transfer is written to device_transfers, which also backs the cooldown
+// and monthly limit so support doesn't have to edit device_bindings by hand.
+
+import { getSupabase, getServiceSupabase } from './supabase.js';
+import { getClientIp, getUserAgent } from './request.js';
+import { revokeRefreshTokens } from './refresh-tokens.js';
+import { ApiError } from './errors.js';
+
+const COOLDOWN_HOURS = parseInt(process.env.DEVICE_TRANSFER_COOLDOWN_HOURS || '24', 10);
+const MONTHLY_LIMIT = parseInt(process.env.DEVICE_TRANSFER_MONTHLY_LIMIT || '3', 10);
+
+/**
+ * Throw if the key is still in its cooldown or has used up this month's transfers.
+ * Unbinds done by support (method 'admin') don't count against either limit.
+ * @param {string} licenseKey - Full license key
+ * @throws {ApiError} 429 with Retry-After
+ */
+export async function assertTransferAllowed(licenseKey) {
+  const now = new Date();
+  const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+
+  const supabase = getServiceSupabase();
+
+  // The cooldown looks at the latest transfer ever, so it carries over month boundaries
+  const { data: lastTransfer, error: lastError } = await supabase
+    .from('device_transfers')
+    .select('created_at')
+    .eq('license_key', licenseKey)
+    .neq('method', 'admin')
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (lastError) throw lastError;
+
+  if (lastTransfer) {
+    const cooldownEnds = new Date(lastTransfer.created_at).getTime() + COOLDOWN_HOURS * 60 * 60 * 1000;
+    if (cooldownEnds > now.getTime()) {
+      const retryAfter = Math.ceil((cooldownEnds - now.getTime()) / 1000);
+      throw new ApiError(429, 'TRANSFER_COOLDOWN', `Devices can only be transferred once every ${COOLDOWN_HOURS} hours.`, {
+        headers: { 'Retry-After': String(retryAfter) },
+        details: { retryAfter }
+      });
+    }
+  }
+
+  const { count: monthlyCount, error: countError } = await supabase
+    .from('device_transfers')
+    .select('id', { count: 'exact', head: true })
+    .eq('license_key', licenseKey)
+    .neq('method', 'admin')
+    .gte('created_at', monthStart.toISOString());
+
+  if (countError) throw countError;
+
+  if ((monthlyCount || 0) >= MONTHLY_LIMIT) {
+    const nextMonth = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+    const retryAfter = Math.ceil((nextMonth.getTime() - now.getTime()) / 1000);
+    throw new ApiError(429, 'TRANSFER_LIMIT', `This license has reached its limit of ${MONTHLY_LIMIT} device transfers this month.`, {
+      headers: { 'Retry-After': String(retryAfter) },
+      details: { retryAfter }
+    });
+  }
+}
+
+/**
+ * Move a binding to a new device (or remove it when toDeviceId is null),
+ * revoke the old device's refresh tokens and write the audit row
+ * @param {object} req - Incoming request (for audit IP/user agent)
+ * @param {object} params
+ * @param {string} params.licenseKey - Full license key
+ * @param {string} params.fromDeviceId - Currently bound device
+ * @param {string|null} params.toDeviceId - New device, or null to just unbind
+ * @param {'token'|'code'|'unbind'|'admin'} params.method - How the transfer was authorized
+ */
+export async function transferBinding(req, { licenseKey, fromDeviceId, toDeviceId, method }) {
+  const supabase = getSupabase();
+  const now = new Date().toISOString();
+
+  const query = toDeviceId
+    ? supabase
+        .from('device_bindings')
+        .update({
+          device_id: toDeviceId,
+          bound_at: now,
+          last_seen: now,
+          last_ip: getClientIp(req),
+          last_user_agent: getUserAgent(req),
+          last_endpoint: 'devices/transfer'
+        })
+    : supabase
+        .from('device_bindings')
+        .delete();
+
+  const { data: moved, error } = await query
+    .eq('license_key', licenseKey)
+    .eq('device_id', fromDeviceId)
+    .select('device_id');
+
+  if (error) throw error;
+
+  if (!moved || moved.length === 0) {
+    throw new ApiError(409, 'DEVICE_NOT_BOUND', 'The old device is no longer bound to this license.');
+  }
+
+  await revokeRefreshTokens({ licenseKey, deviceId: fromDeviceId });
+
+  const { error: auditError } = await getServiceSupabase()
+    .from('device_transfers')
+    .insert({
+      license_key: licenseKey,
+      from_device_id: fromDeviceId,
+      to_device_id: toDeviceId,
+      method: method,
+      ip_address: getClientIp(req),
+      user_agent: getUserAgent(req)
+    });
+
+  if (auditError) {
+    console.error('[DeviceTransfers] Audit insert error:', auditError);
+  }
+}
@@ -0,0 +1,132 @@
+// One-off import of the legacy env-var license state into Supabase
+//
+// /api/register used to keep bindings in DEVICE_BINDINGS ("key:device,key:device")
+// and revocations in REVOKED_KEYS ("key,key"). Those variables only exist on
+// the deployment, so the import runs there (POST /api/admin-licenses?action=import-env).
+// It is idempotent: existing keys and bindings are left alone, and a key whose
+// Supabase seats are already full keeps its Supabase binding (reported as a conflict).
+
+import { getServiceSupabase } from './supabase.js';
+import { getSeatLimit } from './licenses.js';
+
+/**
+ * @returns {{ bindings: Array<{ key: string, deviceId: string }>, revokedKeys: string[] }}
+ */
+export function parseEnvBindings() {
+  const bindings = (process.env.DEVICE_BINDINGS || '')
+    .split(',')
+    .map(entry => {
+      const [key, deviceId] = entry.split(':').map(part => part?.trim());
+      return { key, deviceId };
+    })
+    .filter(({ key, deviceId }) => key && deviceId);
+
+  const revokedKeys = (process.env.REVOKED_KEYS || '')
+    .split(',')
+    .map(key => key.trim())
+    .filter(Boolean);
+
+  return { bindings, revokedKeys };
+}
+
+/**
+ * Import env-var bindings and revocations into license_keys/device_bindings
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun=false] - Report what would change without writing
+ * @returns {Promise<object>} Report of created keys, revoked keys, imported bindings and conflicts
+ */
+export async function importEnvBindings({ dryRun = false } = {}) {
+  const supabase = getServiceSupabase();
+  const { bindings, revokedKeys } = parseEnvBindings();
+  const keys = [...new Set([...bindings.map(binding => binding.key), ...revokedKeys])];
+
+  const report = {
+    dryRun,
+    createdKeys: [],
+    revokedKeys: [],
+    importedBindings: [],
+    existingBindings: [],
+    conflicts: []
+  };
+
+  if (keys.length === 0) {
+    return report;
+  }
+
+  const [{ data: licenses, error: licensesError }, { data: existing, error: existingError }] = await Promise.all([
+    supabase.from('license_keys').select('*').in('key', keys),
+    supabase.from('device_bindings').select('license_key, device_id').in('license_key', keys)
+  ]);
+
+  if (licensesError) throw licensesError;
+  if (existingError) throw existingError;
+
+  const licensesByKey = new Map((licenses || []).map(license => [license.key, license]));
+  const bindingsByKey = new Map();
+  for (const binding of existing || []) {
+    if (!bindingsByKey.has(binding.license_key)) bindingsByKey.set(binding.license_key, []);
+    bindingsByKey.get(binding.license_key).push(binding.device_id);
+  }
+
+  // The env path accepted any key, so keys it knew about become real licenses
+  const missingKeys = keys.filter(key => !licensesByKey.has(key));
+  const newLicenses = missingKeys.map(key => ({ key, revoked: revokedKeys.includes(key) }));
+  report.createdKeys = missingKeys;
+  newLicenses.forEach(license => licensesByKey.set(license.key, license));
+
+  // New keys are created already revoked; existing ones need an update
+  const revokeExisting = revokedKeys.filter(key => !missingKeys.includes(key) && !licensesByKey.get(key).revoked);
+  report.revokedKeys = [...revokeExisting, ...missingKeys.filter(key => revokedKeys.includes(key))];
+
+  const newBindings = [];
+  for (const { key, deviceId } of bindings) {
+    const bound = bindingsByKey.get(key) || [];
+
+    if (bound.includes(deviceId)) {
+      report.existingBindings.push({ key, deviceId });
+    } else if (bound.length >= getSeatLimit(licensesByKey.get(key))) {
+      report.conflicts.push({ key, deviceId, boundDevices: bound });
+    } else {
+      bound.push(deviceId);
+      bindingsByKey.set(key, bound);
+      newBindings.push({ key, deviceId });
+    }
+  }
+  report.importedBindings = newBindings;
+
+  if (dryRun) {
+    return report;
+  }
+
+  if (newLicenses.length > 0) {
+    const { error } = await supabase.from('license_keys').insert(newLicenses);
+    if (error) throw error;
+  }
+
+  if (revokeExisting.length > 0) {
+    const { error } = await supabase.from('license_keys').update({ revoked: true }).in('key', revokeExisting);
+    if (error) throw error;
+  }
+
+  if (newBindings.length > 0) {
+    const now = new Date().toISOString();
+    const { error } = await supabase
+      .from('device_bindings')
+      .insert(newBindings.map(({ key, deviceId }) => ({
+        license_key: key,
+        device_id: deviceId,
+        bound_at: now,
+        last_endpoint: 'env-import'
+      })));
+    if (error) throw error;
+  }
+
+  console.log('[EnvBindings] Import complete:', {
+    createdKeys: report.createdKeys.length,
+    revokedKeys: report.revokedKeys.length,
+    importedBindings: report.importedBindings.length,
+    conflicts: report.conflicts.length
+  });
+
+  return report;
+}
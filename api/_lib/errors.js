@@ -0,0 +1,23 @@
+/**
+ * Error type shared by all API routes
+ * Throw an ApiError from a handler or middleware and withErrors() turns it
+ * into the route's response envelope with the right status code
+ */
+export class ApiError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} code - Machine readable reason (e.g. 'UNAUTHORIZED')
+   * @param {string} message - Human readable message returned to the client
+   * @param {object} [options]
+   * @param {object} [options.headers] - Extra response headers (e.g. Retry-After)
+   * @param {object} [options.details] - Extra fields merged into the response body
+   */
+  constructor(status, code, message, { headers = null, details = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.headers = headers;
+    this.details = details;
+  }
+}
@@ -0,0 +1,207 @@
+// Feature flags and kill switches stored in feature_flags
+//
+// Flags are scoped by endpoint, extension version, host site and license; a
+// row applies when every scope it sets matches, and the most specific
+// applicable row wins. Rows are cached in-process for FLAGS_CACHE_TTL_MS, so a
+// flip reaches every warm instance within that time - no redeploy needed.
+//
+// Cutover from the MASTER_KILL_SWITCH env var: while no kill_switch row exists,
+// MASTER_KILL_SWITCH=true still disables every endpoint. Once the first
+// kill_switch row is added the env var is ignored and can be removed.
+
+import { getServiceSupabase } from './supabase.js';
+import { ApiError } from './errors.js';
+import { findLicenseKeyForDevice } from './tracking.js';
+import { compareVersions } from './versions.js';
+
+export const KILL_SWITCH_FLAG = 'kill_switch';
+export const HOST_SITES = ['padre', 'axiom'];
+const FLAGS_CACHE_TTL_MS = 30 * 1000;
+
+// Origins of the sites the extension runs on
+const SITE_ORIGINS = {
+  'https://trade.padre.gg': 'padre',
+  'https://axiom.trade': 'axiom'
+};
+
+// Weight of each scope when picking the most specific row
+const SCOPE_WEIGHTS = {
+  license_key: 8,
+  extension_version: 4,
+  host_site: 2,
+  endpoint: 1
+};
+
+let cache = { rows: null, loadedAt: 0, pending: null };
+
+async function loadFlagRows() {
+  const { data, error } = await getServiceSupabase()
+    .from('feature_flags')
+    .select('*');
+
+  if (error) throw error;
+
+  return data || [];
+}
+
+/**
+ * All feature_flags rows, from the in-process cache when fresh.
+ * If the table can't be read, the last known rows (or none) are used -
+ * a flags outage must never become an API outage.
+ * @returns {Promise<object[]>}
+ */
+export async function getFlagRows() {
+  if (cache.rows && Date.now() - cache.loadedAt < FLAGS_CACHE_TTL_MS) {
+    return cache.rows;
+  }
+
+  if (!cache.pending) {
+    cache.pending = loadFlagRows()
+      .then(rows => {
+        cache = { rows, loadedAt: Date.now(), pending: null };
+        return rows;
+      })
+      .catch(error => {
+        console.error('[Flags] Failed to load feature flags:', error);
+        cache.pending = null;
+        return cache.rows || [];
+      });
+  }
+
+  return cache.pending;
+}
+
+/**
+ * Drop the cached rows so the next read goes to the database
+ */
+export function invalidateFlagCache() {
+  cache = { rows: null, loadedAt: 0, pending: null };
+}
+
+/**
+ * Build the scope context for a request.
+ * Version comes from ?version= or X-Extension-Version, the host site from
+ * ?site=, X-Host-Site or the Origin header. The license key, if not given, is
+ * looked up from the token's device only when a license-scoped row exists.
+ * @param {object} req - Incoming request
+ * @param {object} [options]
+ * @param {string|null} [options.endpoint] - Endpoint being called
+ * @param {string|null} [options.licenseKey] - Caller's license key, if already known
+ * @returns {Promise<{ endpoint: string|null, version: string|null, site: string|null, licenseKey: string|null }>}
+ */
+export async function getFlagContext(req, { endpoint = null, licenseKey, version } = {}) {
+  const site = req.query?.site || req.headers['x-host-site'] || SITE_ORIGINS[req.headers.origin] || null;
+
+  if (licenseKey === undefined) {
+    licenseKey = req.licenseKey || null;
+
+    const rows = await getFlagRows();
+    if (!licenseKey && req.auth?.deviceId && rows.some(row => row.license_key)) {
+      try {
+        licenseKey = await findLicenseKeyForDevice(req.auth.deviceId);
+      } catch (error) {
+        console.error('[Flags] License lookup failed:', error);
+      }
+    }
+  }
+
+  return {
+    endpoint: endpoint,
+    version: version || req.query?.version || req.headers['x-extension-version'] || null,
+    site: HOST_SITES.includes(site) ? site : null,
+    licenseKey: licenseKey || null
+  };
+}
+
+function rowApplies(row, context) {
+  if (row.endpoint && row.endpoint !== context.endpoint) return false;
+  if (row.host_site && row.host_site !== context.site) return false;
+  if (row.license_key && row.license_key !== context.licenseKey) return false;
+  if (row.extension_version && (!context.version || compareVersions(row.extension_version, context.version) !== 0)) {
+    return false;
+  }
+  return true;
+}
+
+function specificity(row) {
+  return Object.entries(SCOPE_WEIGHTS)
+    .reduce((total, [column, weight]) => total + (row[column] ? weight : 0), 0);
+}
+
+function pickRow(rows, flag, context) {
+  return rows
+    .filter(row => row.flag === flag && rowApplies(row, context))
+    .sort((a, b) => specificity(b) - specificity(a) || new Date(b.updated_at) - new Date(a.updated_at))[0] || null;
+}
+
+/**
+ * Evaluate every feature flag (except the kill switch) for a context
+ * @param {object} context - From getFlagContext()
+ * @returns {Promise<Object<string, { enabled: boolean, value: any, message: string|null }>>}
+ */
+export async function evaluateFlags(context) {
+  const rows = await getFlagRows();
+  const names = [...new Set(rows.map(row => row.flag))].filter(name => name !== KILL_SWITCH_FLAG);
+
+  return Object.fromEntries(names.flatMap(name => {
+    const row = pickRow(rows, name, context);
+    return row ? [[name, { enabled: row.enabled, value: row.value ?? null, message: row.message || null }]] : [];
+  }));
+}
+
+/**
+ * @param {object} context - From getFlagContext() with the endpoint set
+ * @returns {Promise<{ message: string }|null>} Kill switch for the endpoint, or null if it's on
+ */
+export async function getKillSwitch(context) {
+  const rows = await getFlagRows();
+
+  if (!rows.some(row => row.flag === KILL_SWITCH_FLAG)) {
+    return process.env.MASTER_KILL_SWITCH === 'true'
+      ? { message: 'Extension is temporarily disabled.' }
+      : null;
+  }
+
+  const row = pickRow(rows, KILL_SWITCH_FLAG, context);
+  if (!row?.enabled) return null;
+
+  return { message: row.message || 'This feature is temporarily disabled.' };
+}
+
+/**
+ * Refuse the request if any of the endpoints is switched off
+ * @param {object} context - From getFlagContext()
+ * @param {string[]} endpoints - Checked in order
+ * @throws {ApiError} 503 ENDPOINT_DISABLED with the kill switch's message
+ */
+export async function assertEndpointsEnabled(context, endpoints) {
+  for (const endpoint of endpoints) {
+    const killSwitch = await getKillSwitch({ ...context, endpoint: endpoint });
+    if (killSwitch) {
+      throw new ApiError(503, 'ENDPOINT_DISABLED', killSwitch.message);
+    }
+  }
+}
+
+/**
+ * Every endpoint switched off for a context, for clients to grey out features
+ * @param {object} context - From getFlagContext()
+ * @returns {Promise<{ all: { message: string }|null, endpoints: Object<string, string> }>}
+ */
+export async function getDisabledEndpoints(context) {
+  const rows = await getFlagRows();
+  const endpoints = [...new Set(
+    rows.filter(row => row.flag === KILL_SWITCH_FLAG && row.endpoint).map(row => row.endpoint)
+  )];
+
+  const disabled = {};
+  for (const endpoint of endpoints) {
+    const killSwitch = await getKillSwitch({ ...context, endpoint });
+    if (killSwitch) disabled[endpoint] = killSwitch.message;
+  }
+
+  return {
+    all: await getKillSwitch({ ...context, endpoint: null }),
+    endpoints: disabled
+  };
+}
@@ -0,0 +1,160 @@
+// License and device binding lookups shared by the licensing routes
+
+import { getSupabase } from './supabase.js';
+import { getClientIp, getUserAgent } from './request.js';
+import { verifyToken, getBearerToken, tokenMatchesLicense } from './auth.js';
+import { ApiError } from './errors.js';
+
+/**
+ * Load a license key row
+ * @param {string} key - Full license key
+ * @returns {Promise<object|null>} license_keys row, or null if the key doesn't exist
+ */
+export async function getLicense(key) {
+  const { data, error } = await getSupabase()
+    .from('license_keys')
+    .select('*')
+    .eq('key', key)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    throw error;
+  }
+
+  return data || null;
+}
+
+/**
+ * Work out whether a license can be used right now
+ * @param {object|null} license - license_keys row
+ * @returns {{ reason: string, message: string }} reason is 'VALID', 'INVALID', 'REVOKED' or 'EXPIRED'
+ */
+export function getLicenseStatus(license) {
+  if (!license) {
+    return { reason: 'INVALID', message: 'Invalid license key.' };
+  }
+
+  if (license.revoked) {
+    return { reason: 'REVOKED', message: 'License key has been revoked.' };
+  }
+
+  if (license.expires_at && new Date(license.expires_at).getTime() <= Date.now()) {
+    return {
+      reason: 'EXPIRED',
+      message: license.tier === 'trial'
+        ? 'Your trial has ended. Upgrade your license to keep using Honed.'
+        : 'License key has expired.'
+    };
+  }
+
+  return { reason: 'VALID', message: 'License is valid.' };
+}
+
+/**
+ * Throw unless the license can be used right now
+ * @param {object|null} license - license_keys row
+ * @throws {ApiError} 404 INVALID, 403 REVOKED or 403 EXPIRED
+ */
+export function assertLicenseUsable(license) {
+  const { reason, message } = getLicenseStatus(license);
+  if (reason !== 'VALID') {
+    throw new ApiError(reason === 'INVALID' ? 404 : 403, reason, message);
+  }
+}
+
+/**
+ * Load the binding of one device to a license key
+ * @param {string} licenseKey - Full license key
+ * @param {string} deviceId - Device ID
+ * @returns {Promise<object|null>} device_bindings row, or null if the device isn't bound to the key
+ */
+export async function getBinding(licenseKey, deviceId) {
+  const { data, error } = await getSupabase()
+    .from('device_bindings')
+    .select('*')
+    .eq('license_key', licenseKey)
+    .eq('device_id', deviceId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    throw error;
+  }
+
+  return data || null;
+}
+
+/**
+ * List every device bound to a license key, oldest binding first
+ * @param {string} licenseKey - Full license key
+ * @returns {Promise<object[]>} device_bindings rows
+ */
+export async function listBindings(licenseKey) {
+  const { data, error } = await getSupabase()
+    .from('device_bindings')
+    .select('*')
+    .eq('license_key', licenseKey)
+    .order('bound_at', { ascending: true });
+
+  if (error) throw error;
+
+  return data || [];
+}
+
+/**
+ * @param {object} license - license_keys row
+ * @returns {number} Number of devices the key may be bound to
+ */
+export function getSeatLimit(license) {
+  return Math.max(1, license.max_devices || 1);
+}
+
+/**
+ * Bind a new device to a license key. The caller checks the seat limit first.
+ * @param {object} req - Incoming request (for last_ip/last_user_agent)
+ * @param {string} licenseKey - Full license key
+ * @param {string} deviceId - Device to bind
+ * @param {string} endpoint - Endpoint name recorded in last_endpoint
+ */
+export async function bindDevice(req, licenseKey, deviceId, endpoint) {
+  const now = new Date().toISOString();
+
+  const { error } = await getSupabase()
+    .from('device_bindings')
+    .insert({
+      license_key: licenseKey,
+      device_id: deviceId,
+      bound_at: now,
+      last_seen: now,
+      last_ip: getClientIp(req),
+      last_user_agent: getUserAgent(req),
+      last_endpoint: endpoint
+    });
+
+  if (error) throw error;
+}
+
+/**
+ * Authenticate a request as one of the key's bound devices using its access token
+ * @param {object} req - Incoming request with a Bearer token
+ * @param {string} licenseKey - Full license key the caller claims
+ * @returns {Promise<string>} The caller's device ID
+ * @throws {ApiError} 401 for a missing/invalid token, 409 if the device isn't bound to the key
+ */
+export async function requireBoundDevice(req, licenseKey) {
+  const token = getBearerToken(req);
+  if (!token) {
+    throw new ApiError(401, 'UNAUTHORIZED', 'Unauthorized - No token provided');
+  }
+
+  const payload = await verifyToken(token);
+  if (!payload || !tokenMatchesLicense(payload, licenseKey)) {
+    throw new ApiError(401, 'UNAUTHORIZED', 'Unauthorized - Invalid or expired token');
+  }
+
+  const binding = await getBinding(licenseKey, payload.deviceId);
+  if (!binding) {
+    throw new ApiError(409, 'DEVICE_NOT_BOUND', 'This device is not bound to the license.');
+  }
+
+  return payload.deviceId;
+}
@@ -0,0 +1,301 @@
+// Composable middleware for API routes
+//
+// Every route is built the same way:
+//
+//   export default compose(
+//     withErrors({ label: 'Twitter API' }),
+//     withCors({ methods: ['GET'] }),
+//     withMethods(['GET']),
+//     withAuth(),
+//     withKillSwitch('twitter'),
+//     withTier('twitter'),
+//     withDeviceTracking('twitter', { credits: 20 })
+//   )(handler);
+//
+// Middleware listed first runs first. Each one is (handler) => (req, res) => ...
+
+import { ApiError } from './errors.js';
+import { verifyToken, getBearerToken } from './auth.js';
+import { assertFeatureAllowed } from './tiers.js';
+import { findLicenseKeyForDevice, recordDeviceActivity, logApiRequest } from './tracking.js';
+import { getLicense, assertLicenseUsable } from './licenses.js';
+import { authenticateAdmin, hasScope } from './admin-auth.js';
+import { assertCreditsAvailable } from './quotas.js';
+import { getFlagContext, assertEndpointsEnabled } from './flags.js';
+
+// Web origins allowed in addition to any browser extension origin
+const ALLOWED_WEB_ORIGINS = [
+  'https://trade.padre.gg',
+  'https://axiom.trade'
+];
+
+/**
+ * Compose middleware left to right around a handler
+ * @param {...Function} middlewares
+ * @returns {(handler: Function) => Function}
+ */
+export function compose(...middlewares) {
+  return (handler) => middlewares.reduceRight((next, middleware) => middleware(next), handler);
+}
+
+/**
+ * @param {string|undefined} origin - Origin header
+ * @returns {boolean} True for extension origins and approved web origins
+ */
+export function isAllowedOrigin(origin) {
+  if (!origin) return false;
+  return origin.startsWith('chrome-extension://') ||
+         origin.startsWith('moz-extension://') ||
+         ALLOWED_WEB_ORIGINS.includes(origin);
+}
+
+/**
+ * Default error body - keeps the `error` field older clients read
+ * @param {Error} error
+ * @returns {object}
+ */
+function defaultEnvelope(error) {
+  if (!(error instanceof ApiError)) {
+    return { success: false, error: error.message, code: 'INTERNAL_ERROR' };
+  }
+
+  return {
+    success: false,
+    error: error.message,
+    code: error.code,
+    ...(error.details || {})
+  };
+}
+
+/**
+ * Catch anything thrown below and send it through the route's error envelope
+ * @param {object} [options]
+ * @param {string} [options.label='API'] - Log prefix
+ * @param {(error: Error, status: number) => object} [options.envelope] - Builds the error body
+ */
+export function withErrors({ label = 'API', envelope = defaultEnvelope } = {}) {
+  return (handler) => async (req, res) => {
+    try {
+      return await handler(req, res);
+    } catch (error) {
+      const isApiError = error instanceof ApiError;
+      if (!isApiError) {
+        console.error(`[${label}] Error:`, error);
+      }
+
+      if (res.headersSent) {
+        return res.end();
+      }
+
+      if (isApiError && error.headers) {
+        for (const [name, value] of Object.entries(error.headers)) {
+          res.setHeader(name, value);
+        }
+      }
+
+      const status = isApiError ? error.status : 500;
+      return res.status(status).json(envelope(error, status));
+    }
+  };
+}
+
+/**
+ * CORS policy: extension origins plus approved web origins.
+ * Answers preflight requests directly.
+ * @param {object} [options]
+ * @param {string[]} [options.methods=['GET']] - Methods the route accepts (OPTIONS is added)
+ * @param {boolean} [options.anyOrigin=false] - Also allow every other origin, without credentials
+ */
+export function withCors({ methods = ['GET'], anyOrigin = false } = {}) {
+  const allowMethods = [...methods, 'OPTIONS'].join(', ');
+
+  return (handler) => async (req, res) => {
+    const origin = req.headers.origin;
+
+    if (isAllowedOrigin(origin)) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+      res.setHeader('Access-Control-Allow-Credentials', 'true');
+    } else if (anyOrigin) {
+      res.setHeader('Access-Control-Allow-Origin', '*');
+    }
+    res.setHeader('Access-Control-Allow-Methods', allowMethods);
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Extension-Version, X-Host-Site');
+    res.setHeader('Access-Control-Expose-Headers', 'X-Cache, Age, Retry-After, ETag');
+
+    if (req.method === 'OPTIONS') {
+      return res.status(200).end();
+    }
+
+    return handler(req, res);
+  };
+}
+
+/**
+ * CORS policy for admin routes: no cross-origin access except from origins
+ * listed in ADMIN_ORIGINS (comma-separated). The extension and web origins
+ * withCors() allows get nothing here.
+ * @param {object} [options]
+ * @param {string[]} [options.methods=['GET']] - Methods the route accepts (OPTIONS is added)
+ */
+export function withAdminCors({ methods = ['GET'] } = {}) {
+  const allowMethods = [...methods, 'OPTIONS'].join(', ');
+
+  return (handler) => async (req, res) => {
+    const origin = req.headers.origin;
+    const adminOrigins = (process.env.ADMIN_ORIGINS || '').split(',').map(value => value.trim()).filter(Boolean);
+
+    res.setHeader('Vary', 'Origin');
+    if (origin && adminOrigins.includes(origin)) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+      res.setHeader('Access-Control-Allow-Methods', allowMethods);
+      res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    }
+
+    if (req.method === 'OPTIONS') {
+      return res.status(200).end();
+    }
+
+    return handler(req, res);
+  };
+}
+
+/**
+ * Reject any method the route doesn't implement
+ * @param {string[]} methods
+ */
+export function withMethods(methods) {
+  return (handler) => async (req, res) => {
+    if (!methods.includes(req.method)) {
+      throw new ApiError(405, 'METHOD_NOT_ALLOWED', 'Method not allowed');
+    }
+    return handler(req, res);
+  };
+}
+
+/**
+ * Require a valid license token. Sets req.auth to the decoded payload.
+ */
+export function withAuth() {
+  return (handler) => async (req, res) => {
+    const token = getBearerToken(req);
+    if (!token) {
+      throw new ApiError(401, 'UNAUTHORIZED', 'Unauthorized - No token provided');
+    }
+
+    const payload = await verifyToken(token);
+    if (!payload) {
+      throw new ApiError(401, 'UNAUTHORIZED', 'Unauthorized - Invalid or expired token');
+    }
+
+    req.auth = payload;
+    return handler(req, res);
+  };
+}
+
+/**
+ * Require an admin API key holding the scope for the request method.
+ * Sets req.admin to { id, name, scopes }.
+ * @param {Object<string, string>} scopesByMethod - e.g. { GET: 'versions:read', POST: 'versions:write' }
+ */
+export function withAdmin(scopesByMethod) {
+  return (handler) => async (req, res) => {
+    const admin = await authenticateAdmin(req);
+    if (!admin) {
+      throw new ApiError(401, 'UNAUTHORIZED', 'Unauthorized');
+    }
+
+    const scope = scopesByMethod[req.method];
+    if (!scope || !hasScope(admin, scope)) {
+      throw new ApiError(403, 'FORBIDDEN', `Admin key '${admin.name}' lacks the ${scope || req.method} scope`);
+    }
+
+    req.admin = admin;
+    return handler(req, res);
+  };
+}
+
+/**
+ * Answer 503 while a kill_switch flag applies to the route. Put it after
+ * withAuth() when the route has one, so license-scoped switches can match.
+ * Routes that call the same upstream as another endpoint list that endpoint
+ * too, so switching it off covers them.
+ * @param {string|string[]|((req: object) => string[])} endpoint - Endpoint name(s)
+ *   kill_switch rows are scoped to, or a function picking them from the request
+ */
+export function withKillSwitch(endpoint) {
+  return (handler) => async (req, res) => {
+    const endpoints = typeof endpoint === 'function' ? endpoint(req) : [].concat(endpoint);
+
+    await assertEndpointsEnabled(await getFlagContext(req), endpoints);
+    return handler(req, res);
+  };
+}
+
+/**
+ * Require the caller's plan tier (from the token) to include a feature.
+ * Must run after withAuth().
+ * @param {string} feature - Key in FEATURE_MIN_TIER
+ */
+export function withTier(feature) {
+  return (handler) => async (req, res) => {
+    assertFeatureAllowed(req.auth.tier, feature);
+    return handler(req, res);
+  };
+}
+
+/**
+ * Resolve the caller's full license key, update device_bindings and log the
+ * request to api_requests. Must run after withAuth(). Sets req.licenseKey.
+ *
+ * Routes that spend upstream credits (credits > 0) are checked against the
+ * license's daily/monthly budget before the handler runs, and fail closed if
+ * the device has no binding. The handler may lower req.creditsUsed (e.g. on a
+ * cache hit); whatever it ends up as is what gets logged. Requests that throw
+ * (bad input, upstream errors) are logged with 0 credits.
+ *
+ * Tracking errors never fail the request.
+ * @param {string} endpoint - Name recorded in last_endpoint and api_requests
+ * @param {object} [options]
+ * @param {number|((req: object) => number)} [options.credits=0] - Upstream credits the call
+ *   consumes at most, or a function computing it from the request
+ */
+export function withDeviceTracking(endpoint, { credits: creditsOption = 0 } = {}) {
+  return (handler) => async (req, res) => {
+    const deviceId = req.auth.deviceId;
+    const credits = typeof creditsOption === 'function' ? creditsOption(req) : creditsOption;
+    req.licenseKey = null;
+
+    try {
+      req.licenseKey = await findLicenseKeyForDevice(deviceId);
+    } catch (error) {
+      if (credits > 0) throw error;
+      console.error(`[Tracking] Could not find device binding (${endpoint}):`, error);
+    }
+
+    if (!req.licenseKey) {
+      if (credits > 0) {
+        throw new ApiError(403, 'DEVICE_NOT_BOUND', 'This device is not bound to a license.');
+      }
+      console.error(`[Tracking] No device binding for ${endpoint} request`);
+      return handler(req, res);
+    }
+
+    await recordDeviceActivity(req, { deviceId, endpoint });
+
+    if (credits > 0) {
+      const license = await getLicense(req.licenseKey);
+      assertLicenseUsable(license);
+      await assertCreditsAvailable(license, credits);
+    }
+
+    req.creditsUsed = credits;
+    try {
+      return await handler(req, res);
+    } catch (error) {
+      req.creditsUsed = 0;
+      throw error;
+    } finally {
+      await logApiRequest(req, { licenseKey: req.licenseKey, deviceId, endpoint, credits: req.creditsUsed });
+    }
+  };
+}
@@ -0,0 +1,55 @@
+// Newline-delimited JSON responses
+//
+// Streaming routes send one JSON value per line as they go, so memory stays at
+// one page of rows and clients can start processing before the export ends.
+
+export const NDJSON_MEDIA_TYPE = 'application/x-ndjson';
+
+/**
+ * @param {object} req - Incoming request
+ * @returns {boolean} True if the client asked for NDJSON (?stream=ndjson or Accept)
+ */
+export function wantsNdjson(req) {
+  return req.query.stream === 'ndjson' || Boolean(req.headers.accept?.includes(NDJSON_MEDIA_TYPE));
+}
+
+/**
+ * Send the status line and headers. Errors after this point have to be
+ * reported in the stream itself.
+ * @param {object} res
+ */
+export function startNdjson(res) {
+  res.writeHead(200, {
+    'Content-Type': `${NDJSON_MEDIA_TYPE}; charset=utf-8`,
+    'Cache-Control': 'private, no-store',
+    // Stop proxies from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+}
+
+/**
+ * Write values as NDJSON lines, waiting for the socket to drain when its
+ * buffer is full
+ * @param {object} res
+ * @param {Array} values
+ * @returns {Promise<boolean>} False once the client has gone away
+ */
+export async function writeLines(res, values) {
+  if (res.destroyed) return false;
+  if (values.length === 0) return true;
+
+  const chunk = values.map(value => JSON.stringify(value)).join('\n') + '\n';
+  if (res.write(chunk)) return true;
+
+  await new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+
+  return !res.destroyed;
+}
@@ -0,0 +1,101 @@
+// Credit quotas for routes that spend twitterapi.io credits
+//
+// Usage is summed from api_requests for the current UTC day and month and
+// compared against the license's limits before the upstream call is made.
+
+import { getServiceSupabase } from './supabase.js';
+import { ApiError } from './errors.js';
+import { TIER_CREDIT_LIMITS, normalizeTier } from './tiers.js';
+
+/**
+ * @param {Date} [now]
+ * @returns {{ dayStart: Date, nextDay: Date, monthStart: Date, nextMonth: Date }} UTC period boundaries
+ */
+export function getQuotaPeriods(now = new Date()) {
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth();
+  const day = now.getUTCDate();
+
+  return {
+    dayStart: new Date(Date.UTC(year, month, day)),
+    nextDay: new Date(Date.UTC(year, month, day + 1)),
+    monthStart: new Date(Date.UTC(year, month, 1)),
+    nextMonth: new Date(Date.UTC(year, month + 1, 1))
+  };
+}
+
+/**
+ * Daily and monthly limits for a license: per-key overrides, else the tier default
+ * @param {object} license - license_keys row
+ * @returns {{ daily: number, monthly: number }}
+ */
+export function getCreditLimits(license) {
+  const defaults = TIER_CREDIT_LIMITS[normalizeTier(license.tier)];
+
+  return {
+    daily: license.daily_credit_limit ?? defaults.daily,
+    monthly: license.monthly_credit_limit ?? defaults.monthly
+  };
+}
+
+/**
+ * Credits a license has used in the current UTC day and month
+ * @param {string} licenseKey - Full license key
+ * @returns {Promise<{ daily: number, monthly: number }>}
+ */
+export async function getCreditUsage(licenseKey) {
+  const { dayStart, monthStart } = getQuotaPeriods();
+
+  const { data, error } = await getServiceSupabase()
+    .rpc('get_credit_usage', {
+      p_license_key: licenseKey,
+      p_day_start: dayStart.toISOString(),
+      p_month_start: monthStart.toISOString()
+    })
+    .single();
+
+  if (error) throw error;
+
+  return {
+    daily: Number(data?.daily || 0),
+    monthly: Number(data?.monthly || 0)
+  };
+}
+
+/**
+ * Throw if spending `credits` more would take the license over either budget
+ * @param {object} license - license_keys row
+ * @param {number} credits - Credits the call is about to spend
+ * @throws {ApiError} 429 QUOTA_EXCEEDED with Retry-After set to the end of the exhausted period
+ */
+export async function assertCreditsAvailable(license, credits) {
+  const limits = getCreditLimits(license);
+  const usage = await getCreditUsage(license.key);
+  const { nextDay, nextMonth } = getQuotaPeriods();
+
+  let period = null;
+  let resetsAt = null;
+
+  // Check monthly first - if both are exhausted the monthly reset is the one that matters
+  if (usage.monthly + credits > limits.monthly) {
+    period = 'monthly';
+    resetsAt = nextMonth;
+  } else if (usage.daily + credits > limits.daily) {
+    period = 'daily';
+    resetsAt = nextDay;
+  }
+
+  if (period) {
+    const retryAfter = Math.max(1, Math.ceil((resetsAt.getTime() - Date.now()) / 1000));
+    throw new ApiError(429, 'QUOTA_EXCEEDED', `Your ${period} credit limit of ${limits[period]} has been reached.`, {
+      headers: { 'Retry-After': String(retryAfter) },
+      details: {
+        period: period,
+        limit: limits[period],
+        used: usage[period],
+        resetsAt: resetsAt.toISOString(),
+        retryAfter: retryAfter
+      }
+    });
+  }
+}
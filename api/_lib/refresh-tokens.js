@@ -0,0 +1,130 @@
+// Refresh tokens for renewing access tokens without a full /api/validate
+//
+// Refresh tokens are opaque random strings, stored only as SHA-256 hashes.
+// Each one is bound to a license/device pair and can be used exactly once:
+// using it gets a new refresh token in the same family. Presenting an
+// already-used token means it leaked, so the whole family is revoked.
+
+import { createHash, randomBytes, randomUUID } from 'node:crypto';
+import { getServiceSupabase } from './supabase.js';
+import { ApiError } from './errors.js';
+
+export const REFRESH_TOKEN_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+function hashToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Issue a refresh token
+ * @param {string} licenseKey - Full license key
+ * @param {string} deviceId - Device the token is bound to
+ * @param {string} [familyId] - Existing family when rotating; a new family is started otherwise
+ * @returns {Promise<{ refreshToken: string, expiresAt: string }>}
+ */
+export async function issueRefreshToken(licenseKey, deviceId, familyId = randomUUID()) {
+  const refreshToken = randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_SECONDS * 1000).toISOString();
+
+  const { error } = await getServiceSupabase()
+    .from('refresh_tokens')
+    .insert({
+      family_id: familyId,
+      license_key: licenseKey,
+      device_id: deviceId,
+      token_hash: hashToken(refreshToken),
+      expires_at: expiresAt
+    });
+
+  if (error) throw error;
+
+  return { refreshToken, expiresAt };
+}
+
+/**
+ * Start a new refresh token family for a device, revoking the one it had.
+ * Used on license validation, so each device holds one live family no matter
+ * how often it validates.
+ * @param {string} licenseKey - Full license key
+ * @param {string} deviceId - Device the token is bound to
+ * @returns {Promise<{ refreshToken: string, expiresAt: string }>}
+ */
+export async function replaceRefreshTokens(licenseKey, deviceId) {
+  await revokeRefreshTokens({ licenseKey, deviceId });
+  return issueRefreshToken(licenseKey, deviceId);
+}
+
+/**
+ * Revoke every refresh token matching the filter
+ * @param {object} filter
+ * @param {string} [filter.familyId]
+ * @param {string} [filter.licenseKey]
+ * @param {string} [filter.deviceId] - Only together with licenseKey
+ */
+export async function revokeRefreshTokens({ familyId, licenseKey, deviceId }) {
+  let query = getServiceSupabase()
+    .from('refresh_tokens')
+    .update({ revoked_at: new Date().toISOString() })
+    .is('revoked_at', null);
+
+  if (familyId) query = query.eq('family_id', familyId);
+  if (licenseKey) query = query.eq('license_key', licenseKey);
+  if (deviceId) query = query.eq('device_id', deviceId);
+
+  const { error } = await query;
+  if (error) throw error;
+}
+
+/**
+ * Consume a refresh token. The caller issues the replacement with
+ * issueRefreshToken(licenseKey, deviceId, familyId) once it has re-checked the license.
+ * @param {string} refreshToken - Token presented by the client
+ * @param {string} deviceId - Device presenting it
+ * @returns {Promise<{ licenseKey: string, deviceId: string, familyId: string }>}
+ * @throws {ApiError} 401 if the token is unknown, expired, revoked, reused or bound to another device
+ */
+export async function consumeRefreshToken(refreshToken, deviceId) {
+  const supabase = getServiceSupabase();
+
+  const { data: stored, error } = await supabase
+    .from('refresh_tokens')
+    .select('*')
+    .eq('token_hash', hashToken(refreshToken))
+    .single();
+
+  if (error && error.code !== 'PGRST116') throw error;
+
+  if (!stored || stored.revoked_at) {
+    throw new ApiError(401, 'INVALID_TOKEN', 'Refresh token is invalid or has been revoked.');
+  }
+
+  if (stored.device_id !== deviceId) {
+    throw new ApiError(401, 'DEVICE_MISMATCH', 'Refresh token was issued to another device.');
+  }
+
+  if (new Date(stored.expires_at).getTime() <= Date.now()) {
+    throw new ApiError(401, 'TOKEN_EXPIRED', 'Refresh token has expired. Please validate your license again.');
+  }
+
+  // Mark as used only if nobody else has - a second use means the token leaked
+  const { data: claimed, error: claimError } = await supabase
+    .from('refresh_tokens')
+    .update({ used_at: new Date().toISOString() })
+    .eq('id', stored.id)
+    .is('used_at', null)
+    .select('id');
+
+  if (claimError) throw claimError;
+
+  if (!claimed || claimed.length === 0) {
+    console.warn(`[RefreshTokens] Reuse detected, revoking family ${stored.family_id}`);
+    await revokeRefreshTokens({ familyId: stored.family_id });
+    throw new ApiError(401, 'TOKEN_REUSED', 'Refresh token has already been used. Please validate your license again.');
+  }
+
+  return {
+    licenseKey: stored.license_key,
+    deviceId: stored.device_id,
+    familyId: stored.family_id
+  };
+}
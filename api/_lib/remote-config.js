@@ -0,0 +1,101 @@
+// Remote default settings for the extension
+//
+// The live defaults are the newest row in remote_config_revisions. Overrides
+// in remote_config_overrides patch them for a tier and/or an extension version
+// range: untargeted overrides apply first, then version-, tier-, and
+// tier+version-targeted ones, with `priority` breaking ties (higher applies later).
+
+import { getServiceSupabase } from './supabase.js';
+import { compareVersions } from './versions.js';
+
+const CONFIG_CACHE_TTL_MS = 30 * 1000;
+
+let cache = { config: null, loadedAt: 0, pending: null };
+
+async function loadConfig() {
+  const supabase = getServiceSupabase();
+
+  const [revisions, overrides] = await Promise.all([
+    supabase
+      .from('remote_config_revisions')
+      .select('revision, settings, created_at')
+      .order('revision', { ascending: false })
+      .limit(1)
+      .maybeSingle(),
+    supabase
+      .from('remote_config_overrides')
+      .select('*')
+  ]);
+
+  if (revisions.error) throw revisions.error;
+  if (overrides.error) throw overrides.error;
+
+  return {
+    defaults: revisions.data || { revision: 0, settings: {}, created_at: null },
+    overrides: overrides.data || []
+  };
+}
+
+/**
+ * Live defaults and all overrides, cached in-process for CONFIG_CACHE_TTL_MS
+ * @returns {Promise<{ defaults: object, overrides: object[] }>}
+ */
+export async function getRemoteConfig() {
+  if (cache.config && Date.now() - cache.loadedAt < CONFIG_CACHE_TTL_MS) {
+    return cache.config;
+  }
+
+  if (!cache.pending) {
+    cache.pending = loadConfig()
+      .then(config => {
+        cache = { config, loadedAt: Date.now(), pending: null };
+        return config;
+      })
+      .catch(error => {
+        cache.pending = null;
+        throw error;
+      });
+  }
+
+  return cache.pending;
+}
+
+/**
+ * Drop the cached config so the next read goes to the database
+ */
+export function invalidateRemoteConfigCache() {
+  cache = { config: null, loadedAt: 0, pending: null };
+}
+
+function overrideApplies(override, { tier, version }) {
+  if (override.tier && override.tier !== tier) return false;
+  if (override.min_version && (!version || compareVersions(version, override.min_version) < 0)) return false;
+  if (override.max_version && (!version || compareVersions(version, override.max_version) > 0)) return false;
+  return true;
+}
+
+function specificity(override) {
+  const targetsVersion = Boolean(override.min_version || override.max_version);
+  return (override.tier ? 2 : 0) + (targetsVersion ? 1 : 0);
+}
+
+/**
+ * Settings for one client: live defaults with every applicable override merged in
+ * @param {object} context
+ * @param {string|null} context.tier - Caller's plan tier, if known
+ * @param {string|null} context.version - Caller's extension version, if known
+ * @returns {Promise<{ revision: number, settings: object, overrides: string[] }>}
+ */
+export async function resolveSettings({ tier, version }) {
+  const { defaults, overrides } = await getRemoteConfig();
+
+  const applied = overrides
+    .filter(override => overrideApplies(override, { tier, version }))
+    .sort((a, b) => specificity(a) - specificity(b) || a.priority - b.priority);
+
+  return {
+    revision: defaults.revision,
+    settings: applied.reduce((settings, override) => ({ ...settings, ...override.settings }), { ...defaults.settings }),
+    overrides: applied.map(override => override.id)
+  };
+}
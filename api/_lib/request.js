@@ -0,0 +1,84 @@
+// Request helpers shared by all API routes
+
+import { createHash } from 'node:crypto';
+
+/**
+ * Get the client IP from Vercel headers
+ * @param {object} req - Incoming request
+ * @returns {string|null} First address in x-forwarded-for, or the best fallback available
+ */
+export function getClientIp(req) {
+  const forwardedFor = req.headers['x-forwarded-for'];
+  if (forwardedFor) {
+    return forwardedFor.split(',')[0].trim();
+  }
+
+  return req.headers['x-vercel-forwarded-for'] ||
+         req.headers['x-real-ip'] ||
+         req.socket?.remoteAddress ||
+         null;
+}
+
+/**
+ * @param {object} req - Incoming request
+ * @returns {string|null} User agent header, if any
+ */
+export function getUserAgent(req) {
+  return req.headers['user-agent'] || null;
+}
+
+/**
+ * @param {object} req - Incoming request
+ * @returns {string} Public origin of this deployment (e.g. https://example.vercel.app)
+ */
+export function getBaseUrl(req) {
+  if (process.env.PUBLIC_BASE_URL) {
+    return process.env.PUBLIC_BASE_URL.replace(/\/+$/, '');
+  }
+
+  const proto = req.headers['x-forwarded-proto']?.split(',')[0].trim() || 'https';
+  const host = req.headers['x-forwarded-host'] || req.headers.host;
+  return `${proto}://${host}`;
+}
+
+/**
+ * Strong ETag for a response body
+ * @param {string|Buffer} body - Serialized body
+ * @returns {string} Quoted ETag
+ */
+export function createEtag(body) {
+  return `"${createHash('sha256').update(body).digest('base64url')}"`;
+}
+
+/**
+ * @param {object} req - Incoming request
+ * @param {string} etag - Current ETag of the resource
+ * @returns {boolean} True if If-None-Match already names the current ETag
+ */
+export function isNotModified(req, etag) {
+  const ifNoneMatch = req.headers['if-none-match'];
+  if (!ifNoneMatch) return false;
+
+  return ifNoneMatch.trim() === '*' ||
+    ifNoneMatch.split(',').map(tag => tag.trim().replace(/^W\//, '')).includes(etag);
+}
+
+/**
+ * Pick the response encoding from Accept-Encoding
+ * @param {object} req - Incoming request
+ * @param {string[]} supported - Encodings the caller can produce, most preferred first
+ * @returns {string|null} First supported encoding the client accepts, or null for identity
+ */
+export function getAcceptedEncoding(req, supported) {
+  const accepted = new Map();
+
+  for (const part of (req.headers['accept-encoding'] || '').split(',')) {
+    const [name, ...params] = part.trim().toLowerCase().split(';').map(value => value.trim());
+    if (!name) continue;
+
+    const quality = params.find(param => param.startsWith('q='));
+    accepted.set(name, quality ? parseFloat(quality.slice(2)) || 0 : 1);
+  }
+
+  return supported.find(encoding => (accepted.get(encoding) ?? accepted.get('*') ?? 0) > 0) || null;
+}
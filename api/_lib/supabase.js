@@ -0,0 +1,30 @@
+// Shared Supabase clients for API routes
+// Clients are created on first use so a route never fails at import time
+// because a key it doesn't need is missing
+
+import { createClient } from '@supabase/supabase-js';
+
+let anonClient = null;
+let serviceClient = null;
+
+/**
+ * Supabase client using the anon key (RLS applies)
+ * @returns {import('@supabase/supabase-js').SupabaseClient}
+ */
+export function getSupabase() {
+  if (!anonClient) {
+    anonClient = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_ANON_KEY);
+  }
+  return anonClient;
+}
+
+/**
+ * Supabase client using the service key - admin routes only
+ * @returns {import('@supabase/supabase-js').SupabaseClient}
+ */
+export function getServiceSupabase() {
+  if (!serviceClient) {
+    serviceClient = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+  }
+  return serviceClient;
+}
@@ -0,0 +1,57 @@
+// License plan tiers
+//
+// Tiers are ordered: a feature available to a tier is available to every tier
+// above it. Keys issued before tiers existed default to 'standard', and so do
+// access tokens without a tier claim.
+
+import { ApiError } from './errors.js';
+
+export const TIERS = ['trial', 'standard', 'pro'];
+export const DEFAULT_TIER = 'standard';
+
+// Lowest tier allowed to use each feature
+export const FEATURE_MIN_TIER = {
+  twitter: 'trial',
+  community: 'trial'
+};
+
+// Default twitterapi.io credit budgets per tier (a lookup costs 20 credits).
+// Overridden per key by license_keys.daily_credit_limit / monthly_credit_limit.
+export const TIER_CREDIT_LIMITS = {
+  trial: { daily: 1000, monthly: 10000 },
+  standard: { daily: 6000, monthly: 120000 },
+  pro: { daily: 20000, monthly: 400000 }
+};
+
+/**
+ * @param {string|undefined} tier - Tier from a license row or token
+ * @returns {string} A known tier, falling back to DEFAULT_TIER
+ */
+export function normalizeTier(tier) {
+  return TIERS.includes(tier) ? tier : DEFAULT_TIER;
+}
+
+/**
+ * @param {string|undefined} tier - Caller's tier
+ * @param {string} minTier - Lowest tier allowed
+ * @returns {boolean} True if tier is at or above minTier
+ */
+export function tierAtLeast(tier, minTier) {
+  return TIERS.indexOf(normalizeTier(tier)) >= TIERS.indexOf(minTier);
+}
+
+/**
+ * Throw unless a tier includes a feature
+ * @param {string|undefined} tier - Caller's tier
+ * @param {string} feature - Key in FEATURE_MIN_TIER
+ * @throws {ApiError} 403 TIER_REQUIRED
+ */
+export function assertFeatureAllowed(tier, feature) {
+  const minTier = FEATURE_MIN_TIER[feature];
+
+  if (minTier && !tierAtLeast(tier, minTier)) {
+    throw new ApiError(403, 'TIER_REQUIRED', `This feature requires a ${minTier} license or higher.`, {
+      details: { tier: normalizeTier(tier), requiredTier: minTier }
+    });
+  }
+}
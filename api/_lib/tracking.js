@@ -0,0 +1,78 @@
+// Device activity and API usage tracking
+// Tracking failures are logged and never fail the request
+
+import { getSupabase } from './supabase.js';
+import { getClientIp, getUserAgent } from './request.js';
+
+/**
+ * Find the full license key a device is bound to
+ * (tokens only carry a truncated key)
+ * @param {string} deviceId - Device ID from the token
+ * @returns {Promise<string|null>} License key, or null if the device is unbound
+ */
+export async function findLicenseKeyForDevice(deviceId) {
+  const { data, error } = await getSupabase()
+    .from('device_bindings')
+    .select('license_key')
+    .eq('device_id', deviceId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    throw error;
+  }
+
+  return data?.license_key || null;
+}
+
+/**
+ * Update last_seen/last_ip/last_user_agent/last_endpoint on a device binding
+ * @param {object} req - Incoming request
+ * @param {object} params
+ * @param {string} params.deviceId - Device to update
+ * @param {string} params.endpoint - Endpoint name recorded in last_endpoint
+ */
+export async function recordDeviceActivity(req, { deviceId, endpoint }) {
+  try {
+    const { error } = await getSupabase()
+      .from('device_bindings')
+      .update({
+        last_seen: new Date().toISOString(),
+        last_ip: getClientIp(req),
+        last_user_agent: getUserAgent(req),
+        last_endpoint: endpoint
+      })
+      .eq('device_id', deviceId);
+
+    if (error) throw error;
+  } catch (error) {
+    console.error(`[Tracking] Device update error (${endpoint}):`, error);
+  }
+}
+
+/**
+ * Insert an api_requests row for a license
+ * @param {object} req - Incoming request
+ * @param {object} params
+ * @param {string} params.licenseKey - Full license key
+ * @param {string} params.deviceId - Calling device
+ * @param {string} params.endpoint - Endpoint name
+ * @param {number} [params.credits=0] - Upstream credits consumed by the call
+ */
+export async function logApiRequest(req, { licenseKey, deviceId, endpoint, credits = 0 }) {
+  try {
+    const { error } = await getSupabase()
+      .from('api_requests')
+      .insert({
+        license_key: licenseKey,
+        device_id: deviceId,
+        endpoint: endpoint,
+        ip_address: getClientIp(req),
+        user_agent: getUserAgent(req),
+        credits_used: credits
+      });
+
+    if (error) throw error;
+  } catch (error) {
+    console.error(`[Tracking] API request log error (${endpoint}):`, error);
+  }
+}
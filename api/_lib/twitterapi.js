@@ -0,0 +1,57 @@
+// twitterapi.io client used by the Twitter/community routes
+// Lookups go through the shared upstream cache
+
+import { getCached } from './upstream-cache.js';
+
+const BASE_URL = 'https://api.twitterapi.io/twitter';
+
+// Credits charged to the license per lookup
+export const LOOKUP_CREDITS = 20;
+const CACHED_LOOKUP_CREDITS = 2;
+
+/**
+ * Credits a successful lookup costs. Only the request that actually called
+ * upstream pays the full rate.
+ * @param {{ cache: string }} result - From getUserInfo() or getCommunityInfo()
+ * @returns {number}
+ */
+export function creditsFor(result) {
+  return result.cache === 'MISS' ? LOOKUP_CREDITS : CACHED_LOOKUP_CREDITS;
+}
+
+/**
+ * Call twitterapi.io directly (no cache)
+ * @param {string} path - Path under /twitter (e.g. '/user/info')
+ * @param {object} params - Query parameters
+ * @returns {Promise<object>} Parsed response body
+ * @throws {Error} On a non-2xx response
+ */
+async function request(path, params) {
+  const query = new URLSearchParams(params).toString();
+  const response = await fetch(`${BASE_URL}${path}?${query}`, {
+    headers: { 'X-API-Key': process.env.TWITTER_API_KEY }
+  });
+
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error || 'Twitter API error');
+
+  return data;
+}
+
+/**
+ * Cached Twitter user profile lookup
+ * @param {string} userName - Twitter handle (cached case-insensitively)
+ * @returns {Promise<{ data: object, cache: string, fetchedAt: string, revalidation: Promise|null }>}
+ */
+export function getUserInfo(userName) {
+  return getCached('twitter-user', userName.toLowerCase(), () => request('/user/info', { userName }));
+}
+
+/**
+ * Cached Twitter community lookup
+ * @param {string} communityId - Community ID
+ * @returns {Promise<{ data: object, cache: string, fetchedAt: string, revalidation: Promise|null }>}
+ */
+export function getCommunityInfo(communityId) {
+  return getCached('community', communityId, () => request('/community/info', { community_id: communityId }));
+}
@@ -0,0 +1,170 @@
+// Server-side cache for upstream (twitterapi.io) lookups
+//
+// - Entries live in the upstream_cache table with a per-resource TTL
+// - Identical lookups already in flight on this instance share one upstream call
+// - Expired entries are served stale while one instance revalidates them
+//
+// getCached() tells the caller whether the result was a HIT, STALE, MISS, or
+// COALESCED (a miss that shared another request's upstream call).
+// For STALE results it also returns the revalidation promise; routes send
+// their response first and then await it so the function isn't frozen early.
+
+import { getServiceSupabase } from './supabase.js';
+
+// Per-resource freshness (seconds): fresh for ttl, then served stale for up to stale more
+export const CACHE_POLICIES = {
+  'twitter-user': { ttl: 30 * 60, stale: 24 * 60 * 60 },
+  'community': { ttl: 10 * 60, stale: 6 * 60 * 60 }
+};
+
+// How long one instance holds the revalidation lease for an entry
+const REFRESH_LEASE_SECONDS = 30;
+
+const inFlight = new Map();
+
+/**
+ * Run fn once per key on this instance; concurrent callers get the same promise
+ * @param {string} key
+ * @param {() => Promise<any>} fn
+ * @returns {Promise<any>}
+ */
+function singleFlight(key, fn) {
+  if (inFlight.has(key)) {
+    return inFlight.get(key);
+  }
+
+  const promise = Promise.resolve()
+    .then(fn)
+    .finally(() => inFlight.delete(key));
+
+  inFlight.set(key, promise);
+  return promise;
+}
+
+async function readEntry(cacheKey) {
+  const { data, error } = await getServiceSupabase()
+    .from('upstream_cache')
+    .select('payload, fetched_at, expires_at, stale_until')
+    .eq('cache_key', cacheKey)
+    .single();
+
+  if (error && error.code !== 'PGRST116') throw error;
+
+  return data || null;
+}
+
+async function writeEntry(cacheKey, resource, payload) {
+  const policy = CACHE_POLICIES[resource];
+  const now = Date.now();
+
+  const { error } = await getServiceSupabase()
+    .from('upstream_cache')
+    .upsert({
+      cache_key: cacheKey,
+      resource: resource,
+      payload: payload,
+      fetched_at: new Date(now).toISOString(),
+      expires_at: new Date(now + policy.ttl * 1000).toISOString(),
+      stale_until: new Date(now + (policy.ttl + policy.stale) * 1000).toISOString(),
+      refreshing_until: null
+    }, { onConflict: 'cache_key' });
+
+  if (error) throw error;
+}
+
+/**
+ * Take the revalidation lease for an entry unless another instance holds it
+ * @returns {Promise<boolean>} True if this instance should revalidate
+ */
+async function claimRefresh(cacheKey) {
+  const now = new Date();
+
+  const { data, error } = await getServiceSupabase()
+    .from('upstream_cache')
+    .update({ refreshing_until: new Date(now.getTime() + REFRESH_LEASE_SECONDS * 1000).toISOString() })
+    .eq('cache_key', cacheKey)
+    .or(`refreshing_until.is.null,refreshing_until.lt.${now.toISOString()}`)
+    .select('cache_key');
+
+  if (error) throw error;
+
+  return Boolean(data && data.length > 0);
+}
+
+/**
+ * Fetch upstream and store the result, coalescing identical in-flight fetches
+ */
+function fetchAndStore(cacheKey, resource, fetcher) {
+  return singleFlight(cacheKey, async () => {
+    const payload = await fetcher();
+
+    try {
+      await writeEntry(cacheKey, resource, payload);
+    } catch (error) {
+      console.error(`[UpstreamCache] Write error (${cacheKey}):`, error);
+    }
+
+    return payload;
+  });
+}
+
+/**
+ * Look up a cached upstream resource, fetching it on a miss
+ * @param {string} resource - Key in CACHE_POLICIES
+ * @param {string} id - Resource identifier (normalized by the caller)
+ * @param {() => Promise<object>} fetcher - Performs the upstream call; throws on failure
+ * @returns {Promise<{ data: object, cache: 'HIT'|'STALE'|'MISS'|'COALESCED', fetchedAt: string, revalidation: Promise|null }>}
+ */
+export async function getCached(resource, id, fetcher) {
+  const cacheKey = `${resource}:${id}`;
+  const now = Date.now();
+
+  let entry = null;
+  try {
+    entry = await readEntry(cacheKey);
+  } catch (error) {
+    // A broken cache shouldn't take lookups down with it
+    console.error(`[UpstreamCache] Read error (${cacheKey}):`, error);
+  }
+
+  if (entry && new Date(entry.expires_at).getTime() > now) {
+    return { data: entry.payload, cache: 'HIT', fetchedAt: entry.fetched_at, revalidation: null };
+  }
+
+  if (entry && new Date(entry.stale_until).getTime() > now) {
+    let revalidation = null;
+
+    try {
+      if (await claimRefresh(cacheKey)) {
+        revalidation = fetchAndStore(cacheKey, resource, fetcher)
+          .catch(error => console.error(`[UpstreamCache] Revalidation error (${cacheKey}):`, error));
+      }
+    } catch (error) {
+      console.error(`[UpstreamCache] Refresh lease error (${cacheKey}):`, error);
+    }
+
+    return { data: entry.payload, cache: 'STALE', fetchedAt: entry.fetched_at, revalidation };
+  }
+
+  // Callers that join a fetch already in flight didn't cause an upstream call
+  const joined = inFlight.has(cacheKey);
+  const data = await fetchAndStore(cacheKey, resource, fetcher);
+
+  return { data, cache: joined ? 'COALESCED' : 'MISS', fetchedAt: new Date(now).toISOString(), revalidation: null };
+}
+
+/**
+ * Send a getCached() result as the response, marking where it came from,
+ * then wait for any background revalidation to finish
+ * @param {object} res - Response
+ * @param {{ data: object, cache: string, fetchedAt: string, revalidation: Promise|null }} result
+ */
+export async function sendCached(res, result) {
+  res.setHeader('X-Cache', result.cache);
+  res.setHeader('Age', String(Math.max(0, Math.floor((Date.now() - new Date(result.fetchedAt).getTime()) / 1000))));
+  res.status(200).json(result.data);
+
+  if (result.revalidation) {
+    await result.revalidation;
+  }
+}
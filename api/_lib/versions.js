@@ -0,0 +1,272 @@
+// Extension version policy: release channels, staged rollouts and pinning
+//
+// A device follows its license's release channel (stable unless set to beta;
+// beta devices also see stable releases). Each channel has one active version,
+// which can be rolled out to a percentage of devices picked by hashing the
+// device ID, so a new minimum_version can reach 10% of installs before it
+// applies to everyone. Devices outside the rollout stay on the version that was
+// active before it (from version_activations). A license pinned to a version
+// always gets that version's row.
+
+import { createHash } from 'node:crypto';
+import { getSupabase } from './supabase.js';
+import { getDownloadInfo } from './artifacts.js';
+import { ApiError } from './errors.js';
+
+export const RELEASE_CHANNELS = ['stable', 'beta'];
+export const DEFAULT_CHANNEL = 'stable';
+
+// Channels whose releases each channel receives
+const CHANNEL_FEEDS = {
+  stable: ['stable'],
+  beta: ['beta', 'stable']
+};
+
+/**
+ * Compare two semantic versions (e.g., "1.2.3" vs "1.3.0")
+ * @returns {number} -1 if v1 < v2, 0 if equal, 1 if v1 > v2
+ */
+export function compareVersions(v1, v2) {
+  if (!v1 || !v2) return 0;
+
+  const parts1 = v1.split('.').map(Number);
+  const parts2 = v2.split('.').map(Number);
+
+  for (let i = 0; i < Math.max(parts1.length, parts2.length); i++) {
+    const part1 = parts1[i] || 0;
+    const part2 = parts2[i] || 0;
+
+    if (part1 < part2) return -1;
+    if (part1 > part2) return 1;
+  }
+
+  return 0;
+}
+
+/**
+ * Stable rollout bucket for a device, 0-99. Salted with the version so each
+ * rollout starts with a different slice of devices.
+ * @param {string} deviceId
+ * @param {string} version
+ * @returns {number}
+ */
+export function rolloutBucket(deviceId, version) {
+  const digest = createHash('sha256').update(`${version}:${deviceId}`).digest();
+  return digest.readUInt32BE(0) % 100;
+}
+
+/**
+ * @param {object} versionRow - extension_versions row
+ * @param {string} deviceId
+ * @returns {boolean} True if the device falls inside the version's rollout
+ */
+export function isInRollout(versionRow, deviceId) {
+  const percent = versionRow.rollout_percent ?? 100;
+  if (percent >= 100) return true;
+  if (percent <= 0 || !deviceId) return false;
+  return rolloutBucket(deviceId, versionRow.version) < percent;
+}
+
+/**
+ * @param {object|null} license - license_keys row
+ * @returns {string} Release channel the license follows
+ */
+export function getReleaseChannel(license) {
+  return RELEASE_CHANNELS.includes(license?.release_channel) ? license.release_channel : DEFAULT_CHANNEL;
+}
+
+/**
+ * @param {string} channel - Release channel
+ * @returns {string[]} Channels whose releases the given channel receives
+ */
+export function getChannelFeed(channel) {
+  return CHANNEL_FEEDS[channel] || CHANNEL_FEEDS[DEFAULT_CHANNEL];
+}
+
+/**
+ * Resolve the extension_versions row that applies to a device.
+ * Without a deviceId only fully rolled-out versions qualify.
+ * @param {object} params
+ * @param {object|null} params.license - license_keys row (null for unknown keys)
+ * @param {string|null} params.deviceId - Device asking
+ * @param {string} [params.channel] - Channel to use instead of the license's
+ * @returns {Promise<object|null>} Version row, or null if no version applies
+ */
+export async function resolveVersionPolicy({ license, deviceId, channel }) {
+  const supabase = getSupabase();
+
+  if (license?.pinned_version) {
+    const { data, error } = await supabase
+      .from('extension_versions')
+      .select('*')
+      .eq('version', license.pinned_version)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    if (data) return data;
+  }
+
+  const { data, error } = await supabase
+    .from('extension_versions')
+    .select('*')
+    .eq('is_active', true)
+    .in('channel', getChannelFeed(channel || getReleaseChannel(license)));
+
+  if (error) throw error;
+
+  const candidates = await Promise.all(
+    (data || []).map(row => isInRollout(row, deviceId) ? row : getRolloutFallback(row))
+  );
+
+  // Newest release this device has been rolled out to, across its channel feed
+  return candidates
+    .filter(Boolean)
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))[0] || null;
+}
+
+/**
+ * Version that devices outside an active version's rollout stay on: the one
+ * that was active on its channel before it
+ * @param {object} activeRow - Active extension_versions row
+ * @returns {Promise<object|null>} Previous version row, or null if there was none
+ */
+async function getRolloutFallback(activeRow) {
+  const supabase = getSupabase();
+
+  const { data: activation, error } = await supabase
+    .from('version_activations')
+    .select('previous_version')
+    .eq('channel', activeRow.channel)
+    .eq('version', activeRow.version)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!activation?.previous_version) return null;
+
+  const { data, error: versionError } = await supabase
+    .from('extension_versions')
+    .select('*')
+    .eq('version', activation.previous_version)
+    .single();
+
+  if (versionError && versionError.code !== 'PGRST116') throw versionError;
+
+  return data || null;
+}
+
+/**
+ * Work out the update notice for a client, if any.
+ *
+ * Below minimum_version the update is required: it blocks the license once
+ * enforce_after has passed (immediately if unset) and until then is reported
+ * with the grace time left. Below recommended_version the license stays valid
+ * and the notice is informational.
+ *
+ * `active` is true only for blocking notices - older clients disable
+ * themselves whenever updateNotification.active is set.
+ *
+ * @param {object} versionRow - extension_versions row from resolveVersionPolicy()
+ * @param {string} currentVersion - Version the client reported
+ * @param {object} options
+ * @param {string} options.baseUrl - Public origin, for the version-specific download route
+ * @param {number} [options.now] - Current time in ms
+ * @returns {object|null} updateNotification body, or null if the client is up to date
+ */
+export function getUpdateNotice(versionRow, currentVersion, { baseUrl, now = Date.now() }) {
+  const minimumVersion = versionRow.minimum_version || '1.0';
+  const recommendedVersion = versionRow.recommended_version || null;
+
+  const { downloadUrl, sha256, size } = getDownloadInfo(versionRow, baseUrl);
+
+  const base = {
+    downloadUrl: downloadUrl,
+    sha256: sha256,
+    size: size,
+    currentVersion: currentVersion,
+    minimumVersion: minimumVersion,
+    recommendedVersion: recommendedVersion,
+    latestVersion: versionRow.version,
+    channel: versionRow.channel
+  };
+
+  if (compareVersions(currentVersion, minimumVersion) < 0) {
+    const enforceAt = versionRow.enforce_after ? new Date(versionRow.enforce_after).getTime() : null;
+    const graceRemainingSeconds = enforceAt ? Math.max(0, Math.ceil((enforceAt - now) / 1000)) : 0;
+
+    if (graceRemainingSeconds > 0) {
+      return {
+        ...base,
+        active: false,
+        level: 'required',
+        blocking: false,
+        message: `Update required. Your version (${currentVersion}) will stop working on ${new Date(enforceAt).toUTCString()}. Please update to version ${versionRow.version}.`,
+        enforceAfter: new Date(enforceAt).toISOString(),
+        graceRemainingSeconds: graceRemainingSeconds
+      };
+    }
+
+    return {
+      ...base,
+      active: true,
+      level: 'required',
+      blocking: true,
+      message: `Update required. Your version (${currentVersion}) is outdated. Please update to version ${versionRow.version} or later.`,
+      enforceAfter: enforceAt ? new Date(enforceAt).toISOString() : null,
+      graceRemainingSeconds: 0
+    };
+  }
+
+  if (recommendedVersion && compareVersions(currentVersion, recommendedVersion) < 0) {
+    return {
+      ...base,
+      active: false,
+      level: 'recommended',
+      blocking: false,
+      message: `A new version (${versionRow.version}) is available. Updating is recommended.`,
+      enforceAfter: null,
+      graceRemainingSeconds: null
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Update notice for a client asking for a token. Failures are logged and
+ * count as no notice, so a broken versions table never locks clients out.
+ * @param {object} params
+ * @param {object|null} params.license - license_keys row
+ * @param {string|null} params.deviceId - Device asking
+ * @param {string} [params.version] - Version the client reported (1.0 if missing)
+ * @param {string} params.baseUrl - Public origin, for the download route
+ * @returns {Promise<object|null>} From getUpdateNotice()
+ */
+export async function checkClientVersion({ license, deviceId, version, baseUrl }) {
+  try {
+    // Pick the version row for this device's channel, rollout bucket or pin
+    const versionRow = await resolveVersionPolicy({ license, deviceId });
+    return versionRow ? getUpdateNotice(versionRow, version || '1.0', { baseUrl }) : null;
+  } catch (error) {
+    console.error('[Versions] Version check error:', error);
+    return null;
+  }
+}
+
+/**
+ * Refuse a token to a client whose required update is enforced
+ * @param {object|null} notice - From checkClientVersion()
+ * @returns {object|null} updateNotification for the response, if any
+ * @throws {ApiError} 426 UPDATE_REQUIRED once the notice is blocking
+ */
+export function assertVersionAllowed(notice) {
+  if (!notice) return null;
+
+  const { blocking, ...updateNotification } = notice;
+  if (blocking) {
+    throw new ApiError(426, 'UPDATE_REQUIRED', updateNotification.message, { details: { updateNotification } });
+  }
+
+  return updateNotification;
+}
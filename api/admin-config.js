@@ -0,0 +1,238 @@
+/**
+ * Admin API for the extension's remote default settings
+ * GET: Live defaults, recent revisions and all overrides
+ * POST ?action=publish: Publish a new defaults revision - { settings, notes }
+ * POST ?action=republish: Publish an older revision's settings again - { revision }
+ * POST ?action=override: Create or update an override - { id?, tier, min_version, max_version, settings, priority, notes }
+ * DELETE ?id=: Remove an override
+ * Reads need the config:read scope, changes need config:write and are audited
+ */
+
+import { compose, withErrors, withAdminCors, withMethods, withAdmin } from './_lib/middleware.js';
+import { ApiError } from './_lib/errors.js';
+import { getServiceSupabase } from './_lib/supabase.js';
+import { recordAdminAction } from './_lib/admin-audit.js';
+import { invalidateRemoteConfigCache } from './_lib/remote-config.js';
+import { TIERS } from './_lib/tiers.js';
+
+const VERSION_PATTERN = /^\d+\.\d+(\.\d+)?$/;
+
+async function handler(req, res) {
+  switch (req.method) {
+    case 'GET':
+      return await getConfig(res);
+
+    case 'POST': {
+      const action = req.query.action || req.body?.action;
+      switch (action) {
+        case 'publish':
+          return await publishRevision(req, res, req.body?.settings, req.body?.notes);
+        case 'republish':
+          return await republishRevision(req, res);
+        case 'override':
+          return await upsertOverride(req, res);
+        default:
+          throw new ApiError(400, 'INVALID_REQUEST', 'Invalid action');
+      }
+    }
+
+    case 'DELETE':
+      return await deleteOverride(req, res);
+  }
+}
+
+function assertSettingsObject(settings) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new ApiError(400, 'INVALID_REQUEST', 'settings must be a JSON object');
+  }
+}
+
+async function getRevision(revision) {
+  const { data, error } = await getServiceSupabase()
+    .from('remote_config_revisions')
+    .select('*')
+    .eq('revision', revision)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  return data;
+}
+
+async function getConfig(res) {
+  const supabase = getServiceSupabase();
+
+  const [revisions, overrides] = await Promise.all([
+    supabase
+      .from('remote_config_revisions')
+      .select('*')
+      .order('revision', { ascending: false })
+      .limit(20),
+    supabase
+      .from('remote_config_overrides')
+      .select('*')
+      .order('priority', { ascending: true })
+  ]);
+
+  if (revisions.error) throw revisions.error;
+  if (overrides.error) throw overrides.error;
+
+  return res.status(200).json({
+    live: revisions.data?.[0] || null,
+    revisions: revisions.data || [],
+    overrides: overrides.data || []
+  });
+}
+
+async function publishRevision(req, res, settings, notes = null) {
+  assertSettingsObject(settings);
+
+  const supabase = getServiceSupabase();
+
+  const { data: before, error: beforeError } = await supabase
+    .from('remote_config_revisions')
+    .select('*')
+    .order('revision', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (beforeError) throw beforeError;
+
+  const { data, error } = await supabase
+    .from('remote_config_revisions')
+    .insert({ settings, notes, created_by: req.admin.name })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  invalidateRemoteConfigCache();
+
+  await recordAdminAction(req, {
+    action: 'config.publish',
+    resourceType: 'remote_config',
+    resourceId: String(data.revision),
+    before: before ? { revision: before.revision, settings: before.settings } : null,
+    after: { revision: data.revision, settings: data.settings }
+  });
+
+  return res.status(200).json({
+    success: true,
+    message: `Published defaults revision ${data.revision}`,
+    revision: data
+  });
+}
+
+async function republishRevision(req, res) {
+  const revision = parseInt(req.body?.revision, 10);
+  const source = revision ? await getRevision(revision) : null;
+
+  if (!source) {
+    throw new ApiError(404, 'NOT_FOUND', `Revision ${req.body?.revision} not found`);
+  }
+
+  return publishRevision(req, res, source.settings, `Republished revision ${revision}`);
+}
+
+async function upsertOverride(req, res) {
+  const { id, tier = null, min_version = null, max_version = null, settings, priority = 0, notes = null } = req.body || {};
+
+  assertSettingsObject(settings);
+  if (tier !== null && !TIERS.includes(tier)) {
+    throw new ApiError(400, 'INVALID_REQUEST', `tier must be one of: ${TIERS.join(', ')}`);
+  }
+  for (const version of [min_version, max_version]) {
+    if (version !== null && !VERSION_PATTERN.test(version)) {
+      throw new ApiError(400, 'INVALID_REQUEST', 'min_version and max_version must look like x.y or x.y.z');
+    }
+  }
+  if (!Number.isInteger(priority)) {
+    throw new ApiError(400, 'INVALID_REQUEST', 'priority must be an integer');
+  }
+
+  const supabase = getServiceSupabase();
+  let before = null;
+
+  if (id) {
+    const { data, error } = await supabase
+      .from('remote_config_overrides')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) {
+      throw new ApiError(404, 'NOT_FOUND', `Override ${id} not found`);
+    }
+    before = data;
+  }
+
+  const row = {
+    tier, min_version, max_version, settings, priority, notes,
+    updated_by: req.admin.name,
+    updated_at: new Date().toISOString()
+  };
+
+  const { data, error } = before
+    ? await supabase.from('remote_config_overrides').update(row).eq('id', id).select().single()
+    : await supabase.from('remote_config_overrides').insert(row).select().single();
+
+  if (error) throw error;
+
+  invalidateRemoteConfigCache();
+
+  await recordAdminAction(req, {
+    action: 'config.override',
+    resourceType: 'remote_config_override',
+    resourceId: data.id,
+    before: before,
+    after: data
+  });
+
+  return res.status(200).json({
+    success: true,
+    message: `Override ${before ? 'updated' : 'created'}`,
+    override: data
+  });
+}
+
+async function deleteOverride(req, res) {
+  const { id } = req.query;
+
+  if (!id) {
+    throw new ApiError(400, 'INVALID_REQUEST', 'id query parameter is required');
+  }
+
+  const { data, error } = await getServiceSupabase()
+    .from('remote_config_overrides')
+    .delete()
+    .eq('id', id)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) {
+    throw new ApiError(404, 'NOT_FOUND', `Override ${id} not found`);
+  }
+
+  invalidateRemoteConfigCache();
+
+  await recordAdminAction(req, {
+    action: 'config.override.delete',
+    resourceType: 'remote_config_override',
+    resourceId: id,
+    before: data
+  });
+
+  return res.status(200).json({
+    success: true,
+    message: `Override ${id} deleted`
+  });
+}
+
+export default compose(
+  withErrors({ label: 'AdminConfig' }),
+  withAdminCors({ methods: ['GET', 'POST', 'DELETE'] }),
+  withMethods(['GET', 'POST', 'DELETE']),
+  withAdmin({ GET: 'config:read', POST: 'config:write', DELETE: 'config:write' })
+)(handler);
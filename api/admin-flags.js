@@ -0,0 +1,157 @@
+/**
+ * Admin API for feature flags and kill switches
+ * GET: List all flag rows
+ * POST: Create or update a flag row - { flag, enabled, value, message, endpoint,
+ *       extension_version, host_site, license_key }; rows are keyed on flag + scopes
+ * DELETE ?id=: Remove a flag row
+ * Reads need the flags:read scope, changes need flags:write and are audited
+ *
+ * Example - disable only /api/community on axiom:
+ *   { "flag": "kill_switch", "enabled": true, "endpoint": "community", "host_site": "axiom",
+ *     "message": "Community lookups are paused on Axiom." }
+ */
+
+import { compose, withErrors, withAdminCors, withMethods, withAdmin } from './_lib/middleware.js';
+import { ApiError } from './_lib/errors.js';
+import { getServiceSupabase } from './_lib/supabase.js';
+import { recordAdminAction } from './_lib/admin-audit.js';
+import { HOST_SITES, invalidateFlagCache } from './_lib/flags.js';
+
+const SCOPE_COLUMNS = ['endpoint', 'extension_version', 'host_site', 'license_key'];
+
+async function handler(req, res) {
+  switch (req.method) {
+    case 'GET':
+      return await listFlags(res);
+    case 'POST':
+      return await upsertFlag(req, res);
+    case 'DELETE':
+      return await deleteFlag(req, res);
+  }
+}
+
+async function listFlags(res) {
+  const { data, error } = await getServiceSupabase()
+    .from('feature_flags')
+    .select('*')
+    .order('flag', { ascending: true })
+    .order('updated_at', { ascending: false });
+
+  if (error) throw error;
+
+  return res.status(200).json({
+    flags: data || [],
+    count: data?.length || 0
+  });
+}
+
+async function findFlagRow(flag, scopes) {
+  let query = getServiceSupabase()
+    .from('feature_flags')
+    .select('*')
+    .eq('flag', flag);
+
+  for (const column of SCOPE_COLUMNS) {
+    query = scopes[column] ? query.eq(column, scopes[column]) : query.is(column, null);
+  }
+
+  const { data, error } = await query.maybeSingle();
+  if (error) throw error;
+
+  return data;
+}
+
+async function upsertFlag(req, res) {
+  const { flag, enabled = true, value = null, message = null } = req.body || {};
+
+  if (!flag || !/^[a-z0-9_.-]{1,64}$/.test(flag)) {
+    throw new ApiError(400, 'INVALID_REQUEST', 'flag must be 1-64 lowercase letters, digits, _ . or -');
+  }
+  if (typeof enabled !== 'boolean') {
+    throw new ApiError(400, 'INVALID_REQUEST', 'enabled must be a boolean');
+  }
+
+  const scopes = Object.fromEntries(SCOPE_COLUMNS.map(column => [column, req.body[column] || null]));
+
+  if (scopes.host_site && !HOST_SITES.includes(scopes.host_site)) {
+    throw new ApiError(400, 'INVALID_REQUEST', `host_site must be one of: ${HOST_SITES.join(', ')}`);
+  }
+
+  const before = await findFlagRow(flag, scopes);
+  const row = {
+    flag,
+    enabled,
+    value,
+    message,
+    ...scopes,
+    updated_by: req.admin.name,
+    updated_at: new Date().toISOString()
+  };
+
+  const supabase = getServiceSupabase();
+  const { data, error } = before
+    ? await supabase.from('feature_flags').update(row).eq('id', before.id).select().single()
+    : await supabase.from('feature_flags').insert(row).select().single();
+
+  if (error?.code === '23503') {
+    throw new ApiError(400, 'INVALID_REQUEST', `License ${scopes.license_key} does not exist`);
+  }
+  if (error) throw error;
+
+  invalidateFlagCache();
+
+  await recordAdminAction(req, {
+    action: 'flag.upsert',
+    resourceType: 'feature_flag',
+    resourceId: data.id,
+    before: before,
+    after: data
+  });
+
+  return res.status(200).json({
+    success: true,
+    message: `Flag ${flag} ${before ? 'updated' : 'created'}`,
+    flag: data
+  });
+}
+
+async function deleteFlag(req, res) {
+  const { id } = req.query;
+
+  if (!id) {
+    throw new ApiError(400, 'INVALID_REQUEST', 'id query parameter is required');
+  }
+
+  const { data, error } = await getServiceSupabase()
+    .from('feature_flags')
+    .delete()
+    .eq('id', id)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) {
+    throw new ApiError(404, 'NOT_FOUND', `Flag ${id} not found`);
+  }
+
+  invalidateFlagCache();
+
+  await recordAdminAction(req, {
+    action: 'flag.delete',
+    resourceType: 'feature_flag',
+    resourceId: id,
+    before: data
+  });
+
+  return res.status(200).json({
+    success: true,
+    message: `Flag ${data.flag} deleted`
+  });
+}
+
+export default compose(
+  withErrors({ label: 'AdminFlags' }),
+  withAdminCors({ methods: ['GET', 'POST', 'DELETE'] }),
+  withMethods(['GET', 'POST', 'DELETE']),
+  withAdmin({ GET: 'flags:read', POST: 'flags:write', DELETE: 'flags:write' })
+)(handler);
@@ -0,0 +1,402 @@
+/**
+ * Admin API for license key lifecycle management
+ * GET: List keys, or inspect one key (?key=) with its bindings, transfers and usage
+ * POST ?action=generate: Bulk-generate keys with a prefix and tier
+ * POST ?action=revoke | unrevoke: Revoke or restore keys
+ * POST ?action=unbind: Force-unbind one device, or every device, from a key
+ * POST ?action=convert: Convert a trial key to a paid tier
+ * POST ?action=import-env: Import legacy DEVICE_BINDINGS/REVOKED_KEYS env vars (?dryRun=true to preview)
+ * PATCH: Update a key's tier, seats, expiry, credit limits, release channel or pinned version
+ * Reads need the licenses:read scope, changes need licenses:write and are audited
+ */
+
+import { randomInt } from 'node:crypto';
+import { compose, withErrors, withAdminCors, withMethods, withAdmin } from './_lib/middleware.js';
+import { ApiError } from './_lib/errors.js';
+import { getServiceSupabase } from './_lib/supabase.js';
+import { getLicense, listBindings } from './_lib/licenses.js';
+import { transferBinding } from './_lib/device-transfers.js';
+import { revokeRefreshTokens } from './_lib/refresh-tokens.js';
+import { getCreditLimits, getCreditUsage } from './_lib/quotas.js';
+import { TIERS } from './_lib/tiers.js';
+import { importEnvBindings } from './_lib/env-bindings.js';
+import { RELEASE_CHANNELS } from './_lib/versions.js';
+import { recordAdminAction } from './_lib/admin-audit.js';
+
+const MAX_GENERATE = 500;
+const KEY_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no 0/O or 1/I
+const DEFAULT_PAGE_SIZE = 50;
+
+async function handler(req, res) {
+  switch (req.method) {
+    case 'GET':
+      return req.query.key
+        ? await getLicenseDetail(req, res)
+        : await listLicenses(req, res);
+
+    case 'POST': {
+      const action = req.query.action || req.body?.action;
+      switch (action) {
+        case 'generate':
+          return await generateLicenses(req, res);
+        case 'revoke':
+          return await setRevoked(req, res, true);
+        case 'unrevoke':
+          return await setRevoked(req, res, false);
+        case 'unbind':
+          return await forceUnbind(req, res);
+        case 'convert':
+          return await convertTrial(req, res);
+        case 'import-env':
+          return await importEnv(req, res);
+        default:
+          throw new ApiError(400, 'INVALID_REQUEST', 'Invalid action');
+      }
+    }
+
+    case 'PATCH':
+      return await updateLicense(req, res);
+  }
+}
+
+function generateKey(prefix) {
+  const group = () => Array.from({ length: 4 }, () => KEY_ALPHABET[randomInt(KEY_ALPHABET.length)]).join('');
+  return `${prefix}-${group()}-${group()}-${group()}`;
+}
+
+function parseTier(tier) {
+  if (tier !== undefined && !TIERS.includes(tier)) {
+    throw new ApiError(400, 'INVALID_REQUEST', `tier must be one of: ${TIERS.join(', ')}`);
+  }
+  return tier;
+}
+
+function parseKeys(body) {
+  const keys = Array.isArray(body?.keys) ? body.keys : (body?.key ? [body.key] : []);
+  if (keys.length === 0) {
+    throw new ApiError(400, 'INVALID_REQUEST', 'key or keys is required');
+  }
+  return keys;
+}
+
+async function listLicenses(req, res) {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, 500);
+  const offset = (page - 1) * limit;
+
+  let query = getServiceSupabase()
+    .from('license_keys')
+    .select('*', { count: 'exact' });
+
+  if (req.query.prefix) query = query.like('key', `${req.query.prefix}-%`);
+  if (req.query.tier) query = query.eq('tier', req.query.tier);
+  if (req.query.revoked !== undefined) query = query.eq('revoked', req.query.revoked === 'true');
+
+  const { data, error, count } = await query
+    .order('key', { ascending: true })
+    .range(offset, offset + limit - 1);
+
+  if (error) throw error;
+
+  return res.status(200).json({
+    licenses: data || [],
+    pagination: {
+      page,
+      limit,
+      total: count || 0,
+      totalPages: Math.ceil((count || 0) / limit)
+    }
+  });
+}
+
+async function getLicenseDetail(req, res) {
+  const { key } = req.query;
+  const supabase = getServiceSupabase();
+
+  const { data: license, error } = await supabase
+    .from('license_keys')
+    .select('*')
+    .eq('key', key)
+    .single();
+
+  if (error && error.code !== 'PGRST116') throw error;
+  if (!license) {
+    throw new ApiError(404, 'NOT_FOUND', `License ${key} not found`);
+  }
+
+  const [bindings, usage, transfers] = await Promise.all([
+    listBindings(key),
+    getCreditUsage(key),
+    supabase
+      .from('device_transfers')
+      .select('*')
+      .eq('license_key', key)
+      .order('created_at', { ascending: false })
+      .limit(20)
+  ]);
+
+  if (transfers.error) throw transfers.error;
+
+  return res.status(200).json({
+    license: license,
+    bindings: bindings.map(binding => ({
+      deviceId: binding.device_id,
+      boundAt: binding.bound_at,
+      lastSeen: binding.last_seen,
+      lastIp: binding.last_ip,
+      lastUserAgent: binding.last_user_agent,
+      lastEndpoint: binding.last_endpoint
+    })),
+    credits: {
+      limits: getCreditLimits(license),
+      usage: usage
+    },
+    recentTransfers: transfers.data || []
+  });
+}
+
+async function generateLicenses(req, res) {
+  const { count, prefix = 'HONED', tier = 'standard', max_devices, expires_at } = req.body || {};
+  const total = parseInt(count, 10);
+
+  if (!total || total < 1 || total > MAX_GENERATE) {
+    throw new ApiError(400, 'INVALID_REQUEST', `count must be between 1 and ${MAX_GENERATE}`);
+  }
+  if (!/^[A-Z0-9]{2,16}$/.test(prefix)) {
+    throw new ApiError(400, 'INVALID_REQUEST', 'prefix must be 2-16 uppercase letters or digits');
+  }
+  parseTier(tier);
+
+  const rows = Array.from({ length: total }, () => ({
+    key: generateKey(prefix),
+    revoked: false,
+    tier: tier,
+    max_devices: max_devices || 1,
+    expires_at: expires_at || null
+  }));
+
+  const { data, error } = await getServiceSupabase()
+    .from('license_keys')
+    .insert(rows)
+    .select('key, tier, max_devices, expires_at');
+
+  if (error) throw error;
+
+  console.log(`[AdminLicenses] Generated ${data.length} ${tier} keys with prefix ${prefix}`);
+
+  await recordAdminAction(req, {
+    action: 'license.generate',
+    resourceType: 'license_key',
+    resourceId: `${prefix}-*`,
+    after: { count: data.length, keys: data.map(row => row.key), tier, max_devices: max_devices || 1, expires_at: expires_at || null }
+  });
+
+  return res.status(200).json({
+    success: true,
+    count: data.length,
+    licenses: data
+  });
+}
+
+async function setRevoked(req, res, revoked) {
+  const keys = parseKeys(req.body);
+  const supabase = getServiceSupabase();
+
+  const { data: before, error: beforeError } = await supabase
+    .from('license_keys')
+    .select('key, revoked')
+    .in('key', keys);
+
+  if (beforeError) throw beforeError;
+
+  const { data, error } = await supabase
+    .from('license_keys')
+    .update({ revoked })
+    .in('key', keys)
+    .select('key');
+
+  if (error) throw error;
+
+  for (const row of before || []) {
+    await recordAdminAction(req, {
+      action: revoked ? 'license.revoke' : 'license.unrevoke',
+      resourceType: 'license_key',
+      resourceId: row.key,
+      before: { revoked: row.revoked },
+      after: { revoked }
+    });
+  }
+
+  // Revoking kills every refresh-token family so no device can renew its access token
+  if (revoked) {
+    for (const { key } of data || []) {
+      await revokeRefreshTokens({ licenseKey: key });
+    }
+  }
+
+  const updated = (data || []).map(row => row.key);
+
+  return res.status(200).json({
+    success: true,
+    message: `${updated.length} key(s) ${revoked ? 'revoked' : 'restored'}`,
+    updated: updated,
+    notFound: keys.filter(key => !updated.includes(key))
+  });
+}
+
+async function forceUnbind(req, res) {
+  const { key, deviceId } = req.body || {};
+
+  if (!key) {
+    throw new ApiError(400, 'INVALID_REQUEST', 'key is required');
+  }
+
+  const bindings = await listBindings(key);
+  const targets = deviceId
+    ? bindings.filter(binding => binding.device_id === deviceId)
+    : bindings;
+
+  if (targets.length === 0) {
+    throw new ApiError(404, 'NOT_FOUND', deviceId ? `Device ${deviceId} is not bound to ${key}` : `No devices bound to ${key}`);
+  }
+
+  // Admin unbinds skip the self-service cooldown and monthly limit
+  for (const binding of targets) {
+    await transferBinding(req, { licenseKey: key, fromDeviceId: binding.device_id, toDeviceId: null, method: 'admin' });
+    await recordAdminAction(req, {
+      action: 'license.unbind',
+      resourceType: 'device_binding',
+      resourceId: `${key}:${binding.device_id}`,
+      before: binding
+    });
+  }
+
+  return res.status(200).json({
+    success: true,
+    message: `${targets.length} device(s) unbound from ${key}`,
+    unbound: targets.map(binding => binding.device_id)
+  });
+}
+
+async function convertTrial(req, res) {
+  const { key, tier = 'standard', expires_at = null } = req.body || {};
+
+  if (!key) {
+    throw new ApiError(400, 'INVALID_REQUEST', 'key is required');
+  }
+  parseTier(tier);
+
+  const before = await getLicense(key);
+
+  const { data, error } = await getServiceSupabase()
+    .rpc('convert_trial_license', {
+      p_key: key,
+      p_tier: tier,
+      p_expires_at: expires_at
+    });
+
+  if (error) {
+    throw new ApiError(400, 'CONVERT_FAILED', error.message);
+  }
+
+  await recordAdminAction(req, {
+    action: 'license.convert',
+    resourceType: 'license_key',
+    resourceId: key,
+    before: before,
+    after: data
+  });
+
+  return res.status(200).json({
+    success: true,
+    message: `License ${key} converted to ${tier}`,
+    license: data
+  });
+}
+
+async function importEnv(req, res) {
+  const dryRun = req.query.dryRun === 'true' || req.body?.dryRun === true;
+  const report = await importEnvBindings({ dryRun });
+
+  if (!dryRun) {
+    await recordAdminAction(req, {
+      action: 'license.import-env',
+      resourceType: 'license_key',
+      after: report
+    });
+  }
+
+  return res.status(200).json({
+    success: true,
+    report: report
+  });
+}
+
+async function updateLicense(req, res) {
+  const {
+    key, tier, max_devices, expires_at, daily_credit_limit, monthly_credit_limit, release_channel, pinned_version
+  } = req.body || {};
+
+  if (!key) {
+    throw new ApiError(400, 'INVALID_REQUEST', 'key is required');
+  }
+  parseTier(tier);
+
+  // null clears the channel (back to stable) or the pin
+  if (release_channel != null && !RELEASE_CHANNELS.includes(release_channel)) {
+    throw new ApiError(400, 'INVALID_REQUEST', `release_channel must be one of: ${RELEASE_CHANNELS.join(', ')}`);
+  }
+
+  const changes = Object.fromEntries(
+    Object.entries({
+      tier, max_devices, expires_at, daily_credit_limit, monthly_credit_limit, release_channel, pinned_version
+    })
+      .filter(([, value]) => value !== undefined)
+  );
+
+  if (Object.keys(changes).length === 0) {
+    throw new ApiError(400, 'INVALID_REQUEST', 'Nothing to update');
+  }
+
+  const before = await getLicense(key);
+  if (!before) {
+    throw new ApiError(404, 'NOT_FOUND', `License ${key} not found`);
+  }
+
+  const { data, error } = await getServiceSupabase()
+    .from('license_keys')
+    .update(changes)
+    .eq('key', key)
+    .select()
+    .single();
+
+  // pinned_version references extension_versions
+  if (error?.code === '23503') {
+    throw new ApiError(400, 'INVALID_REQUEST', `Version ${pinned_version} does not exist`);
+  }
+  if (error && error.code !== 'PGRST116') throw error;
+  if (!data) {
+    throw new ApiError(404, 'NOT_FOUND', `License ${key} not found`);
+  }
+
+  await recordAdminAction(req, {
+    action: 'license.update',
+    resourceType: 'license_key',
+    resourceId: key,
+    before: Object.fromEntries(Object.keys(changes).map(field => [field, before[field] ?? null])),
+    after: changes
+  });
+
+  return res.status(200).json({
+    success: true,
+    message: `License ${key} updated`,
+    license: data
+  });
+}
+
+export default compose(
+  withErrors({ label: 'AdminLicenses' }),
+  withAdminCors({ methods: ['GET', 'POST', 'PATCH'] }),
+  withMethods(['GET', 'POST', 'PATCH']),
+  withAdmin({ GET: 'licenses:read', POST: 'licenses:write', PATCH: 'licenses:write' })
+)(handler);
@@ -1,91 +1,96 @@
 /**
  * Admin API for managing extension versions
- * GET: List all versions
- * POST: Create or update a version (uses upsert to avoid conflicts)
- * DELETE: Remove a version
+ * GET: List all versions and recent activations
+ * POST: Create or update a version (uses upsert to avoid conflicts); is_active: true activates it,
+ *       leaving is_active out keeps the current active version
+ *       channel ('stable' | 'beta') and rollout_percent (0-100) control who receives it
+ *       recommended_version nudges clients to update; enforce_after delays the minimum_version block
+ * POST ?action=upload&version=: Upload the version's zip (raw body, application/octet-stream);
+ *       stored with its SHA-256 and size and served from /api/download?version=
+ * POST ?action=activate: Make a version the only active one on its channel
+ * POST ?action=rollback: Restore the channel's previously active version and its minimum_version
+ * DELETE: Remove a version (the active version can't be deleted)
+ * Reads need the versions:read scope, changes need versions:write and are audited
  */
 
-import { createClient } from '@supabase/supabase-js';
+import { compose, withErrors, withAdminCors, withMethods, withAdmin } from './_lib/middleware.js';
+import { ApiError } from './_lib/errors.js';
+import { getServiceSupabase } from './_lib/supabase.js';
+import { recordAdminAction } from './_lib/admin-audit.js';
+import { RELEASE_CHANNELS } from './_lib/versions.js';
+import { storeArtifact, removeArtifact } from './_lib/artifacts.js';
 
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseKey = process.env.SUPABASE_SERVICE_KEY; // Use service key for admin operations
+async function handler(req, res) {
+  switch (req.method) {
+    case 'GET':
+      return await listVersions(res);
 
-const supabase = createClient(supabaseUrl, supabaseKey);
+    case 'POST':
+    case 'PUT':
+      switch (req.query.action || req.body?.action) {
+        case 'upload':
+          return await uploadArtifact(req, res);
+        case 'activate':
+          return await activateVersion(req, res);
+        case 'rollback':
+          return await rollbackVersion(req, res);
+        default:
+          return await upsertVersion(req, res);
+      }
 
-// Simple admin auth check - in production, use proper authentication
-function isAdmin(req) {
-  const authHeader = req.headers.authorization;
-  const adminSecret = process.env.ADMIN_API_SECRET;
-  
-  if (!adminSecret) {
-    console.warn('[AdminVersions] No ADMIN_API_SECRET set, allowing all requests');
-    return true;
+    case 'DELETE':
+      return await deleteVersion(req, res);
   }
-  
-  return authHeader === `Bearer ${adminSecret}`;
 }
 
-export default async function handler(req, res) {
-  // Set CORS headers
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
-  }
-
-  // Check admin auth
-  if (!isAdmin(req)) {
-    return res.status(401).json({ error: 'Unauthorized' });
-  }
-
-  try {
-    switch (req.method) {
-      case 'GET':
-        return await listVersions(res);
-      
-      case 'POST':
-      case 'PUT':
-        return await upsertVersion(req, res);
-      
-      case 'DELETE':
-        return await deleteVersion(req, res);
-      
-      default:
-        return res.status(405).json({ error: 'Method not allowed' });
-    }
-  } catch (error) {
-    console.error('[AdminVersions] Error:', error);
-    return res.status(500).json({ 
-      error: 'Internal server error',
-      details: error.message 
-    });
-  }
+async function getVersion(version) {
+  const { data, error } = await getServiceSupabase()
+    .from('extension_versions')
+    .select('*')
+    .eq('version', version)
+    .single();
+
+  if (error && error.code !== 'PGRST116') throw error;
+
+  return data || null;
 }
 
 async function listVersions(res) {
-  const { data, error } = await supabase
-    .from('extension_versions')
-    .select('*')
-    .order('created_at', { ascending: false });
+  const supabase = getServiceSupabase();
 
-  if (error) {
-    return res.status(500).json({ error: 'Failed to fetch versions', details: error });
+  const [{ data, error }, activations] = await Promise.all([
+    supabase
+      .from('extension_versions')
+      .select('*')
+      .order('created_at', { ascending: false }),
+    supabase
+      .from('version_activations')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(20)
+  ]);
+
+  if (error || activations.error) {
+    return res.status(500).json({ error: 'Failed to fetch versions', details: error || activations.error });
   }
 
-  // Get current active version
+  // Get current active version, overall and per channel
   const activeVersion = data?.find(v => v.is_active);
+  const activeByChannel = Object.fromEntries(
+    RELEASE_CHANNELS.map(channel => [channel, data?.find(v => v.is_active && v.channel === channel) || null])
+  );
 
   return res.status(200).json({
     versions: data || [],
     count: data?.length || 0,
-    activeVersion: activeVersion || null
+    activeVersion: activeVersion || null,
+    activeByChannel: activeByChannel,
+    recentActivations: activations.data || []
   });
 }
 
 async function upsertVersion(req, res) {
-  const { version, minimum_version, download_url, is_active, release_notes } = req.body;
+  const { version, minimum_version, download_url, is_active, release_notes, channel, rollout_percent, recommended_version, enforce_after } = req.body;
 
   if (!version) {
     return res.status(400).json({ error: 'version is required' });
@@ -98,22 +103,59 @@ async function upsertVersion(req, res) {
     });
   }
 
+  if (channel !== undefined && !RELEASE_CHANNELS.includes(channel)) {
+    return res.status(400).json({ error: `channel must be one of: ${RELEASE_CHANNELS.join(', ')}` });
+  }
+
+  if (rollout_percent !== undefined && !(Number.isInteger(rollout_percent) && rollout_percent >= 0 && rollout_percent <= 100)) {
+    return res.status(400).json({ error: 'rollout_percent must be an integer between 0 and 100' });
+  }
+
+  if (recommended_version != null && !/^\d+\.\d+(\.\d+)?$/.test(recommended_version)) {
+    return res.status(400).json({ error: 'Invalid recommended_version format. Use semver format: x.y or x.y.z' });
+  }
+
+  if (enforce_after != null && isNaN(Date.parse(enforce_after))) {
+    return res.status(400).json({ error: 'enforce_after must be an ISO 8601 timestamp' });
+  }
+
+  const before = await getVersion(version);
+
+  // Only an explicit is_active: true activates. Leaving it out never changes
+  // which version is active, so editing an old version can't roll a channel back.
+  const activate = is_active === true;
+
+  // Switching the active version only happens through activate/rollback
+  if (before?.is_active && is_active === false) {
+    return res.status(409).json({ error: `Version ${version} is active. Activate another version instead of deactivating it.` });
+  }
+  if (before?.is_active && channel !== undefined && channel !== before.channel) {
+    return res.status(409).json({ error: `Version ${version} is active on ${before.channel}. Activate another version there before moving it.` });
+  }
+
   const versionData = {
     version,
     minimum_version: minimum_version || '1.0',
     download_url: download_url || null,
-    is_active: is_active !== undefined ? is_active : true,
     release_notes: release_notes || null,
     updated_at: new Date().toISOString()
   };
 
+  // New versions start inactive and are switched on by activation below
+  if (!before) versionData.is_active = false;
+
+  // Only touch channel and rollout when given, so an unrelated edit can't
+  // widen a staged rollout back to 100%
+  if (channel !== undefined) versionData.channel = channel;
+  if (rollout_percent !== undefined) versionData.rollout_percent = rollout_percent;
+  if (recommended_version !== undefined) versionData.recommended_version = recommended_version;
+  if (enforce_after !== undefined) versionData.enforce_after = enforce_after;
+
   // Use upsert to avoid duplicate key conflicts
-  const { data, error } = await supabase
+  const { data, error } = await getServiceSupabase()
     .from('extension_versions')
-    .upsert(versionData, { 
-      onConflict: 'version',
-      returning: 'representation'
-    });
+    .upsert(versionData, { onConflict: 'version' })
+    .select();
 
   if (error) {
     console.error('[AdminVersions] Upsert error:', error);
@@ -123,10 +165,131 @@ async function upsertVersion(req, res) {
     });
   }
 
+  await recordAdminAction(req, {
+    action: 'version.upsert',
+    resourceType: 'extension_version',
+    resourceId: version,
+    before: before,
+    after: data?.[0] || versionData
+  });
+
+  let activation = null;
+  if (activate && !before?.is_active) {
+    activation = await runActivation(req, 'activate_extension_version', { p_version: version });
+  }
+
+  return res.status(200).json({
+    success: true,
+    message: `Version ${version} ${before ? 'updated' : 'created'} successfully`,
+    version: activation ? await getVersion(version) : (data?.[0] || versionData),
+    activation: activation
+  });
+}
+
+// Run an activation RPC and audit the switch. The RPC does the deactivate,
+// activate and history insert in one transaction.
+async function runActivation(req, fn, params) {
+  const { data, error } = await getServiceSupabase()
+    .rpc(fn, { ...params, p_activated_by: req.admin.name });
+
+  if (error) {
+    // P0002 = version not found, anything else raised by the function is a refused switch
+    throw new ApiError(error.code === 'P0002' ? 404 : 409, 'ACTIVATION_FAILED', error.message);
+  }
+
+  await recordAdminAction(req, {
+    action: fn === 'rollback_extension_version' ? 'version.rollback' : 'version.activate',
+    resourceType: 'extension_version',
+    resourceId: data.version,
+    before: { active_version: data.previous_version, minimum_version: data.previous_minimum_version },
+    after: { active_version: data.version, minimum_version: data.minimum_version }
+  });
+
+  return data;
+}
+
+async function activateVersion(req, res) {
+  const version = req.body?.version || req.query.version;
+
+  if (!version) {
+    return res.status(400).json({ error: 'version is required' });
+  }
+
+  const activation = await runActivation(req, 'activate_extension_version', { p_version: version });
+
+  return res.status(200).json({
+    success: true,
+    message: `Version ${version} activated on ${activation.channel}` +
+      (activation.previous_version ? ` (was ${activation.previous_version})` : ''),
+    activation: activation
+  });
+}
+
+async function rollbackVersion(req, res) {
+  const channel = req.body?.channel || req.query.channel || 'stable';
+
+  if (!RELEASE_CHANNELS.includes(channel)) {
+    return res.status(400).json({ error: `channel must be one of: ${RELEASE_CHANNELS.join(', ')}` });
+  }
+
+  const activation = await runActivation(req, 'rollback_extension_version', { p_channel: channel });
+
   return res.status(200).json({
     success: true,
-    message: `Version ${version} ${data ? 'updated' : 'created'} successfully`,
-    version: data?.[0] || versionData
+    message: `Rolled ${channel} back from ${activation.previous_version} to ${activation.version}`,
+    activation: activation
+  });
+}
+
+async function uploadArtifact(req, res) {
+  const { version } = req.query;
+
+  if (!version) {
+    return res.status(400).json({ error: 'version query parameter is required' });
+  }
+
+  const before = await getVersion(version);
+
+  if (!before) {
+    return res.status(404).json({ error: `Version ${version} not found. Create it before uploading its artifact.` });
+  }
+
+  if (before.artifact_path) {
+    return res.status(409).json({ error: `Version ${version} already has an artifact (sha256 ${before.artifact_sha256})` });
+  }
+
+  const artifact = await storeArtifact(version, req.body);
+
+  const { data, error } = await getServiceSupabase()
+    .from('extension_versions')
+    .update({
+      ...artifact,
+      artifact_uploaded_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    })
+    .eq('version', version)
+    .select()
+    .single();
+
+  if (error) {
+    console.error('[AdminVersions] Artifact update error:', error);
+    return res.status(500).json({ error: 'Failed to save artifact', details: error.message });
+  }
+
+  await recordAdminAction(req, {
+    action: 'version.upload',
+    resourceType: 'extension_version',
+    resourceId: version,
+    before: { artifact_path: null, artifact_sha256: null, artifact_size: null },
+    after: artifact
+  });
+
+  console.log(`[AdminVersions] Uploaded artifact for ${version}: ${artifact.artifact_size} bytes, sha256 ${artifact.artifact_sha256}`);
+
+  return res.status(200).json({
+    success: true,
+    message: `Artifact for version ${version} uploaded successfully`,
+    version: data
   });
 }
 
@@ -137,7 +300,13 @@ async function deleteVersion(req, res) {
     return res.status(400).json({ error: 'version query parameter is required' });
   }
 
-  const { error } = await supabase
+  const before = await getVersion(version);
+
+  if (before?.is_active) {
+    return res.status(409).json({ error: `Version ${version} is active on ${before.channel}. Activate or roll back to another version first.` });
+  }
+
+  const { error } = await getServiceSupabase()
     .from('extension_versions')
     .delete()
     .eq('version', version);
@@ -146,8 +315,28 @@ async function deleteVersion(req, res) {
     return res.status(500).json({ error: 'Failed to delete version', details: error });
   }
 
+  if (before?.artifact_path) {
+    await removeArtifact(before.artifact_path);
+  }
+
+  if (before) {
+    await recordAdminAction(req, {
+      action: 'version.delete',
+      resourceType: 'extension_version',
+      resourceId: version,
+      before: before
+    });
+  }
+
   return res.status(200).json({
     success: true,
     message: `Version ${version} deleted successfully`
   });
 }
+
+export default compose(
+  withErrors({ label: 'AdminVersions' }),
+  withAdminCors({ methods: ['GET', 'POST', 'PUT', 'DELETE'] }),
+  withMethods(['GET', 'POST', 'PUT', 'DELETE']),
+  withAdmin({ GET: 'versions:read', POST: 'versions:write', PUT: 'versions:write', DELETE: 'versions:write' })
+)(handler);
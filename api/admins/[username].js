@@ -0,0 +1,192 @@
+// Vercel serverless function for one admin's detail view
+// Returns the admin's aggregate row, one page of their tokens and stats over
+// every token matching the filters, as typed objects (the v2 format of
+// /api/supabase), so clients don't have to download the whole dataset
+// JWT authentication required
+//
+// GET /api/admins/{username}?sort=createdAt&order=desc&limit=50&offset=0
+//     &minScore=2&maxScore=6&minMarketCap=10000&maxMarketCap=500000
+//     &createdAfter=1700000000&createdBefore=1710000000
+//
+// sort: createdAt | marketCap | tokenScore. createdAfter/createdBefore are Unix seconds.
+//
+// Not yet available: the time-to-migrate distribution. The tokens table has no
+// per-token migration time, only the per-admin average
+// (admin.avgMigrateTimeSeconds), so it is blocked on the data pipeline
+// recording when each token migrated.
+
+import { compose, withErrors, withCors, withMethods, withAuth, withKillSwitch, withDeviceTracking } from '../_lib/middleware.js';
+import { ApiError } from '../_lib/errors.js';
+import { getSupabase } from '../_lib/supabase.js';
+import { transformAdminsToV2, transformTokensToV2 } from '../_lib/data-formats.js';
+import { readAllRows } from '../_lib/dataset.js';
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+const SORT_COLUMNS = {
+  createdAt: 'created_at',
+  marketCap: 'market_cap',
+  tokenScore: 'token_score'
+};
+
+// Columns the stats need, read for every matching token
+const STATS_COLUMNS = 'token_score, ath_market_cap';
+
+async function handler(req, res) {
+  const username = (req.query.username || '').trim();
+
+  if (!username || username.length > 64) {
+    throw new ApiError(400, 'INVALID_REQUEST', 'Missing or invalid admin username');
+  }
+
+  const filters = parseFilters(req.query);
+  const { sort, ascending, limit, offset } = parsePaging(req.query);
+
+  // Usernames are matched on admin_key, the lowercased names clients see
+  const adminKey = username.toLowerCase();
+  const where = (query) => applyFilters(query.eq('admin_key', adminKey), filters);
+
+  const supabase = getSupabase();
+
+  const [adminResult, pageResult, statsRows] = await Promise.all([
+    supabase
+      .from('admins')
+      .select('*')
+      .eq('admin_key', adminKey)
+      .limit(1)
+      .maybeSingle(),
+    where(supabase.from('tokens').select('*', { count: 'exact' }))
+      .order(SORT_COLUMNS[sort], { ascending: ascending, nullsFirst: false })
+      .order('base_token', { ascending: true })
+      .range(offset, offset + limit - 1),
+    readAllRows('tokens', { columns: STATS_COLUMNS, where: where })
+  ]);
+
+  if (adminResult.error) throw adminResult.error;
+  if (pageResult.error) throw pageResult.error;
+
+  if (!adminResult.data) {
+    throw new ApiError(404, 'ADMIN_NOT_FOUND', `No admin named ${username}`);
+  }
+
+  const tokens = transformTokensToV2(pageResult.data);
+  const total = pageResult.count ?? null;
+
+  res.status(200).json({
+    success: true,
+    admin: transformAdminsToV2([adminResult.data])[0],
+    tokens: tokens,
+    pagination: {
+      offset: offset,
+      limit: limit,
+      total: total,
+      hasMore: total !== null ? offset + tokens.length < total : tokens.length === limit
+    },
+    sort: { field: sort, order: ascending ? 'asc' : 'desc' },
+    filters: filters,
+    stats: getTokenStats(transformTokensToV2(statsRows))
+  });
+}
+
+/**
+ * @param {object} query - req.query
+ * @param {string} name
+ * @returns {number|null} The parameter as a number, or null if absent
+ */
+function parseNumber(query, name) {
+  const value = query[name];
+  if (value === undefined || value === '') return null;
+
+  const number = Number(value);
+  if (!Number.isFinite(number)) {
+    throw new ApiError(400, 'INVALID_REQUEST', `${name} must be a number`);
+  }
+
+  return number;
+}
+
+function parseFilters(query) {
+  return {
+    minScore: parseNumber(query, 'minScore'),
+    maxScore: parseNumber(query, 'maxScore'),
+    minMarketCap: parseNumber(query, 'minMarketCap'),
+    maxMarketCap: parseNumber(query, 'maxMarketCap'),
+    createdAfter: parseNumber(query, 'createdAfter'),
+    createdBefore: parseNumber(query, 'createdBefore')
+  };
+}
+
+function parsePaging(query) {
+  const sort = query.sort || 'createdAt';
+  if (!SORT_COLUMNS[sort]) {
+    throw new ApiError(400, 'INVALID_REQUEST', `sort must be one of: ${Object.keys(SORT_COLUMNS).join(', ')}`);
+  }
+
+  const order = query.order || 'desc';
+  if (order !== 'asc' && order !== 'desc') {
+    throw new ApiError(400, 'INVALID_REQUEST', 'order must be asc or desc');
+  }
+
+  const limit = parseNumber(query, 'limit') ?? DEFAULT_LIMIT;
+  const offset = parseNumber(query, 'offset') ?? 0;
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new ApiError(400, 'INVALID_REQUEST', `limit must be an integer between 1 and ${MAX_LIMIT}`);
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new ApiError(400, 'INVALID_REQUEST', 'offset must be a non-negative integer');
+  }
+
+  return { sort, ascending: order === 'asc', limit, offset };
+}
+
+function applyFilters(query, filters) {
+  if (filters.minScore !== null) query.gte('token_score', filters.minScore);
+  if (filters.maxScore !== null) query.lte('token_score', filters.maxScore);
+  if (filters.minMarketCap !== null) query.gte('market_cap', filters.minMarketCap);
+  if (filters.maxMarketCap !== null) query.lte('market_cap', filters.maxMarketCap);
+  if (filters.createdAfter !== null) query.gte('created_at', filters.createdAfter);
+  if (filters.createdBefore !== null) query.lt('created_at', filters.createdBefore);
+  return query;
+}
+
+/**
+ * @param {number[]} values
+ * @returns {number|null} Median, or null for an empty list
+ */
+function median(values) {
+  if (values.length === 0) return null;
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Derived stats over an admin's matching tokens
+ * @param {Array<object>} tokens - v2 tokens
+ * @returns {object}
+ */
+function getTokenStats(tokens) {
+  const athValues = tokens.map(token => token.athMarketCap).filter(value => value !== null);
+
+  return {
+    tokens: tokens.length,
+    tokensByScore: [0, 1, 2, 3, 4, 5, 6].map(score => tokens.filter(token => token.tokenScore === score).length),
+    athMarketCap: {
+      median: median(athValues),
+      max: athValues.length > 0 ? athValues.reduce((max, value) => Math.max(max, value)) : null
+    }
+  };
+}
+
+export default compose(
+  withErrors({ label: 'Admins API' }),
+  withCors({ methods: ['GET'] }),
+  withMethods(['GET']),
+  withAuth(),
+  withKillSwitch('admins'),
+  withDeviceTracking('admins')
+)(handler);
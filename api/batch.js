@@ -0,0 +1,109 @@
+// Vercel serverless function for batch Twitter user and community lookups
+// Fetches many profiles in one authenticated request with bounded concurrency
+// and logs a single usage record for the whole batch
+//
+// POST /api/batch  { "userNames": ["..."], "communityIds": ["..."] }
+
+import { compose, withErrors, withCors, withMethods, withAuth, withKillSwitch, withDeviceTracking } from './_lib/middleware.js';
+import { ApiError } from './_lib/errors.js';
+import { getUserInfo, getCommunityInfo, creditsFor, LOOKUP_CREDITS } from './_lib/twitterapi.js';
+import { assertFeatureAllowed } from './_lib/tiers.js';
+import { mapSettled } from './_lib/concurrency.js';
+
+const MAX_ITEMS = 50;
+const CONCURRENCY = 5;
+
+/**
+ * Validate the request body and dedupe ids. Sets req.batch.
+ */
+function withBatchBody() {
+  return (handler) => async (req, res) => {
+    const { userNames = [], communityIds = [] } = req.body || {};
+
+    if (!Array.isArray(userNames) || !Array.isArray(communityIds)) {
+      throw new ApiError(400, 'INVALID_REQUEST', 'userNames and communityIds must be arrays');
+    }
+
+    const clean = (values) => [...new Set(values.filter(value => typeof value === 'string' && value.trim()).map(value => value.trim()))];
+    const batch = { userNames: clean(userNames), communityIds: clean(communityIds) };
+    const total = batch.userNames.length + batch.communityIds.length;
+
+    if (total === 0) {
+      throw new ApiError(400, 'INVALID_REQUEST', 'Provide at least one userName or communityId');
+    }
+    if (total > MAX_ITEMS) {
+      throw new ApiError(400, 'INVALID_REQUEST', `A batch can contain at most ${MAX_ITEMS} items`);
+    }
+
+    if (batch.userNames.length > 0) assertFeatureAllowed(req.auth.tier, 'twitter');
+    if (batch.communityIds.length > 0) assertFeatureAllowed(req.auth.tier, 'community');
+
+    req.batch = batch;
+    return handler(req, res);
+  };
+}
+
+async function handler(req, res) {
+  const { userNames, communityIds } = req.batch;
+  const lookups = [
+    ...userNames.map(userName => ({ type: 'user', id: userName, fetch: () => getUserInfo(userName) })),
+    ...communityIds.map(communityId => ({ type: 'community', id: communityId, fetch: () => getCommunityInfo(communityId) }))
+  ];
+
+  const settled = await mapSettled(lookups, CONCURRENCY, lookup => lookup.fetch());
+
+  let creditsUsed = 0;
+  const revalidations = [];
+  const users = [];
+  const communities = [];
+
+  settled.forEach((outcome, index) => {
+    const lookup = lookups[index];
+    let item;
+
+    if (outcome.ok) {
+      const result = outcome.value;
+      creditsUsed += creditsFor(result);
+      if (result.revalidation) revalidations.push(result.revalidation);
+      item = { ok: true, cache: result.cache, data: result.data };
+    } else {
+      // Failed lookups aren't charged, same as a failed single lookup
+      item = { ok: false, error: outcome.error.message };
+    }
+
+    if (lookup.type === 'user') {
+      users.push({ userName: lookup.id, ...item });
+    } else {
+      communities.push({ communityId: lookup.id, ...item });
+    }
+  });
+
+  req.creditsUsed = creditsUsed;
+
+  res.status(200).json({
+    success: true,
+    users: users,
+    communities: communities,
+    creditsUsed: creditsUsed
+  });
+
+  await Promise.all(revalidations);
+}
+
+export default compose(
+  withErrors({ label: 'Batch API' }),
+  withCors({ methods: ['POST'] }),
+  withMethods(['POST']),
+  withAuth(),
+  withKillSwitch('batch'),
+  withBatchBody(),
+  // Lookups go to the same upstream as /api/twitter and /api/community, so their switches apply too
+  withKillSwitch(req => [
+    ...(req.batch.userNames.length > 0 ? ['twitter'] : []),
+    ...(req.batch.communityIds.length > 0 ? ['community'] : [])
+  ]),
+  // Quota is checked against the worst case: every item misses the cache
+  withDeviceTracking('batch', {
+    credits: req => (req.batch.userNames.length + req.batch.communityIds.length) * LOOKUP_CREDITS
+  })
+)(handler);
@@ -0,0 +1,73 @@
+// Vercel serverless function returning release notes since a given version
+// Aggregates release_notes of every version after ?since= up to the latest
+// release on the channel, newest first, for the popup's "what's new" view
+//
+// GET /api/changelog?since=1.0&channel=stable|beta
+
+import { compose, withErrors, withCors, withMethods } from './_lib/middleware.js';
+import { ApiError } from './_lib/errors.js';
+import { getSupabase } from './_lib/supabase.js';
+import {
+  RELEASE_CHANNELS, DEFAULT_CHANNEL, compareVersions, getChannelFeed, resolveVersionPolicy
+} from './_lib/versions.js';
+
+async function handler(req, res) {
+  const { since = '0' } = req.query;
+  const channel = req.query.channel || DEFAULT_CHANNEL;
+
+  if (!/^\d+(\.\d+){0,2}$/.test(since)) {
+    throw new ApiError(400, 'INVALID_REQUEST', 'since must be a version such as 1.0 or 1.2.3');
+  }
+  if (!RELEASE_CHANNELS.includes(channel)) {
+    throw new ApiError(400, 'INVALID_REQUEST', `channel must be one of: ${RELEASE_CHANNELS.join(', ')}`);
+  }
+
+  const latest = await resolveVersionPolicy({ license: null, deviceId: null, channel });
+
+  res.setHeader('Cache-Control', 'public, s-maxage=60, stale-while-revalidate=300');
+
+  if (!latest || compareVersions(since, latest.version) >= 0) {
+    return res.status(200).json({
+      success: true,
+      since: since,
+      latestVersion: latest?.version || null,
+      entries: [],
+      releaseNotes: ''
+    });
+  }
+
+  const { data, error } = await getSupabase()
+    .from('extension_versions')
+    .select('version, channel, release_notes, created_at')
+    .in('channel', getChannelFeed(channel));
+
+  if (error) throw error;
+
+  // Version strings don't sort lexically, so filter and order in JS
+  const entries = (data || [])
+    .filter(row => compareVersions(row.version, since) > 0 && compareVersions(row.version, latest.version) <= 0)
+    .sort((a, b) => compareVersions(b.version, a.version))
+    .map(row => ({
+      version: row.version,
+      channel: row.channel,
+      releaseNotes: row.release_notes || null,
+      releasedAt: row.created_at || null
+    }));
+
+  return res.status(200).json({
+    success: true,
+    since: since,
+    latestVersion: latest.version,
+    entries: entries,
+    releaseNotes: entries
+      .filter(entry => entry.releaseNotes)
+      .map(entry => `## ${entry.version}\n${entry.releaseNotes}`)
+      .join('\n\n')
+  });
+}
+
+export default compose(
+  withErrors({ label: 'Changelog API' }),
+  withCors({ methods: ['GET'] }),
+  withMethods(['GET'])
+)(handler);
@@ -0,0 +1,128 @@
+// Vercel serverless function for the admins/tokens change feed
+// Returns rows changed since the client's cursor (in the same format as
+// /api/supabase, including ?format=v2), tombstones for deleted rows, and the cursor to send next.
+// JWT authentication required
+//
+// GET /api/changes?cursor=<cursor>&limit=500
+//
+// Without a cursor, or with one older than the log's retention, the response
+// has resyncRequired: true and a fresh cursor: do a full sync through
+// /api/supabase, then poll from that cursor. Keep calling while hasMore is true.
+
+import { compose, withErrors, withCors, withMethods, withAuth, withKillSwitch, withDeviceTracking } from './_lib/middleware.js';
+import { getSupabase } from './_lib/supabase.js';
+import { negotiateFormat, formatRows } from './_lib/data-formats.js';
+import { encodeCursor, decodeCursor, comparePositions, getHeadPosition, getPrunedThrough, readChanges } from './_lib/change-feed.js';
+
+const DEFAULT_LIMIT = 500;
+const MAX_LIMIT = 1000;
+const KEYS_PER_QUERY = 150; // keeps .in() filters well under URL length limits
+
+/**
+ * Fetch the current rows for a set of keys
+ * @param {string} table - 'admins' or 'tokens'
+ * @param {string} keyColumn - Column the change log keys on
+ * @param {string[]} keys
+ * @returns {Promise<object[]>}
+ */
+async function fetchRows(table, keyColumn, keys) {
+  const supabase = getSupabase();
+  let rows = [];
+
+  for (let i = 0; i < keys.length; i += KEYS_PER_QUERY) {
+    const { data, error } = await supabase
+      .from(table)
+      .select('*')
+      .in(keyColumn, keys.slice(i, i + KEYS_PER_QUERY));
+
+    if (error) throw error;
+    rows = rows.concat(data || []);
+  }
+
+  return rows;
+}
+
+/**
+ * Split changed keys into current rows and tombstones. A key logged as an
+ * upsert whose row is gone by now (or no longer qualifies) is a tombstone too.
+ */
+async function resolveChanges(changes, { table, keyColumn, include = () => true }) {
+  const upsertKeys = [...changes].filter(([, op]) => op === 'upsert').map(([key]) => key);
+  const rows = (await fetchRows(table, keyColumn, upsertKeys)).filter(include);
+  const present = new Set(rows.map(row => row[keyColumn]));
+
+  return {
+    rows: rows,
+    deleted: [...changes.keys()].filter(key => !present.has(key))
+  };
+}
+
+function resyncResponse(res, format, head) {
+  return res.json({
+    success: true,
+    ...(format === 'v2' && { format: 'v2' }),
+    resyncRequired: true,
+    cursor: encodeCursor(head),
+    hasMore: false,
+    ...formatRows(format, { admins: [], tokens: [] }),
+    deleted: { admins: [], tokens: [] }
+  });
+}
+
+async function handler(req, res) {
+  const format = negotiateFormat(req);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  if (!req.query.cursor) {
+    return resyncResponse(res, format, await getHeadPosition());
+  }
+
+  const after = decodeCursor(req.query.cursor);
+
+  if (!after) {
+    console.log('[Changes API] Cursor predates commit-order reads, resync required');
+    return resyncResponse(res, format, await getHeadPosition());
+  }
+
+  // Changes after this cursor may already be pruned from the log
+  if (comparePositions(after, await getPrunedThrough()) < 0) {
+    console.log(`[Changes API] Cursor ${after.txid}/${after.id} is behind the pruning horizon, resync required`);
+    return resyncResponse(res, format, await getHeadPosition());
+  }
+
+  const changes = await readChanges(after, limit);
+
+  const [admins, tokens] = await Promise.all([
+    resolveChanges(changes.admins, { table: 'admins', keyColumn: 'admin_username' }),
+    // Tokens without an admin are never synced, so they count as deleted
+    resolveChanges(changes.tokens, { table: 'tokens', keyColumn: 'base_token', include: token => token.admin_username != null })
+  ]);
+
+  console.log(`[Changes API] ${after.txid}/${after.id} -> ${changes.lastPosition.txid}/${changes.lastPosition.id}:`, admins.rows.length, 'admins,', tokens.rows.length, 'tokens,',
+    admins.deleted.length + tokens.deleted.length, 'deletions');
+
+  res.setHeader('Vary', 'Accept');
+
+  return res.json({
+    success: true,
+    ...(format === 'v2' && { format: 'v2' }),
+    resyncRequired: false,
+    cursor: encodeCursor(changes.lastPosition),
+    hasMore: changes.hasMore,
+    ...formatRows(format, { admins: admins.rows, tokens: tokens.rows }),
+    deleted: {
+      // Same normalization the Sheets format applies to admin_username
+      admins: admins.deleted.map(username => username.toLowerCase().trim()),
+      tokens: tokens.deleted
+    }
+  });
+}
+
+export default compose(
+  withErrors({ label: 'Changes API' }),
+  withCors({ methods: ['GET'] }),
+  withMethods(['GET']),
+  withAuth(),
+  withKillSwitch('changes'),
+  withDeviceTracking('changes')
+)(handler);
@@ -0,0 +1,46 @@
+// Vercel serverless function for server-side community verification
+// Resolves the community's creator and moderators and returns a structured
+// verdict so every client shows the same badge
+// JWT authentication required
+//
+// GET /api/community/verify?communityId={id}&tokenAddress={base_token}
+
+import { compose, withErrors, withCors, withMethods, withAuth, withKillSwitch, withTier, withDeviceTracking } from '../_lib/middleware.js';
+import { ApiError } from '../_lib/errors.js';
+import { getCommunityInfo, creditsFor, LOOKUP_CREDITS } from '../_lib/twitterapi.js';
+import { verifyCommunity } from '../_lib/community-verification.js';
+
+async function handler(req, res) {
+  const { communityId, tokenAddress } = req.query;
+
+  if (!communityId || !/^\d+$/.test(communityId)) {
+    throw new ApiError(400, 'INVALID_REQUEST', 'Missing or invalid communityId');
+  }
+
+  const community = await getCommunityInfo(communityId);
+
+  req.creditsUsed = creditsFor(community);
+
+  const verdict = await verifyCommunity({
+    communityId: communityId,
+    communityData: community.data,
+    tokenAddress: tokenAddress || null
+  });
+
+  res.setHeader('X-Cache', community.cache);
+  res.status(200).json({ success: true, ...verdict });
+
+  if (community.revalidation) {
+    await community.revalidation;
+  }
+}
+
+export default compose(
+  withErrors({ label: 'Community Verify API' }),
+  withCors({ methods: ['GET'] }),
+  withMethods(['GET']),
+  withAuth(),
+  withKillSwitch(['community/verify', 'community']),
+  withTier('community'),
+  withDeviceTracking('community/verify', { credits: LOOKUP_CREDITS })
+)(handler);
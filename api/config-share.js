@@ -9,76 +9,49 @@
 // PATCH  /api/config-share?action=visibility                          - Toggle visibility
 // DELETE /api/config-share?id={configId}                              - Delete config
 
-export default async function handler(req, res) {
-  // Set CORS headers
-  const origin = req.headers.origin;
-
-  if (origin && (origin.startsWith('chrome-extension://') || origin.startsWith('moz-extension://'))) {
-    res.setHeader('Access-Control-Allow-Origin', origin);
-    res.setHeader('Access-Control-Allow-Credentials', 'true');
-  } else {
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Credentials', 'true');
-  }
-
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
-  }
-
-  // Dynamic import for Supabase
-  const { createClient } = await import('@supabase/supabase-js');
-  const supabase = createClient(
-    process.env.SUPABASE_URL,
-    process.env.SUPABASE_SERVICE_KEY  // Use service key to bypass RLS
-  );
-
-  try {
-    // Route based on method and action
-    if (req.method === 'GET') {
-      const action = req.query.action;
-
-      if (action === 'preview') {
-        return await handlePreview(req, res, supabase);
-      } else {
-        // Default to browse
-        return await handleBrowse(req, res, supabase);
-      }
+import { compose, withErrors, withCors, withMethods } from './_lib/middleware.js';
+import { getServiceSupabase } from './_lib/supabase.js';
+
+async function handler(req, res) {
+  // Service key bypasses RLS
+  const supabase = getServiceSupabase();
+
+  // Route based on method and action
+  if (req.method === 'GET') {
+    const action = req.query.action;
+
+    if (action === 'preview') {
+      return await handlePreview(req, res, supabase);
+    } else {
+      // Default to browse
+      return await handleBrowse(req, res, supabase);
     }
+  }
 
-    if (req.method === 'POST') {
-      const action = req.query.action || req.body?.action;
+  if (req.method === 'POST') {
+    const action = req.query.action || req.body?.action;
 
-      if (action === 'copy') {
-        return await handleCopy(req, res, supabase);
-      } else if (action === 'upload') {
-        return await handleUpload(req, res, supabase);
-      } else {
-        return res.status(400).json({ error: 'Invalid action' });
-      }
+    if (action === 'copy') {
+      return await handleCopy(req, res, supabase);
+    } else if (action === 'upload') {
+      return await handleUpload(req, res, supabase);
+    } else {
+      return res.status(400).json({ error: 'Invalid action' });
     }
+  }
 
-    if (req.method === 'PATCH') {
-      const action = req.query.action || req.body?.action;
-
-      if (action === 'visibility') {
-        return await handleVisibility(req, res, supabase);
-      } else {
-        return res.status(400).json({ error: 'Invalid action' });
-      }
-    }
+  if (req.method === 'PATCH') {
+    const action = req.query.action || req.body?.action;
 
-    if (req.method === 'DELETE') {
-      return await handleDelete(req, res, supabase);
+    if (action === 'visibility') {
+      return await handleVisibility(req, res, supabase);
+    } else {
+      return res.status(400).json({ error: 'Invalid action' });
     }
+  }
 
-    return res.status(405).json({ error: 'Method not allowed' });
-
-  } catch (error) {
-    console.error('Config share API error:', error);
-    return res.status(500).json({ error: 'Internal server error' });
+  if (req.method === 'DELETE') {
+    return await handleDelete(req, res, supabase);
   }
 }
 
@@ -294,3 +267,10 @@ async function handleDelete(req, res, supabase) {
     message: 'Config deleted successfully'
   });
 }
+
+export default compose(
+  withErrors({ label: 'Config Share API' }),
+  // Config sharing stays open to any website
+  withCors({ methods: ['GET', 'POST', 'PATCH', 'DELETE'], anyOrigin: true }),
+  withMethods(['GET', 'POST', 'PATCH', 'DELETE'])
+)(handler);
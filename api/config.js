@@ -0,0 +1,50 @@
+// Vercel serverless function serving the extension's remote default settings
+// Returns the live defaults merged with overrides for the caller's tier and
+// version, so defaults can be tuned for existing installs without a release.
+// Conditional requests with If-None-Match get a 304 while nothing changed.
+//
+// GET /api/config?version=1.2.0
+// Authorization: Bearer <token> is optional; with it, tier overrides apply
+
+import { compose, withErrors, withCors, withMethods } from './_lib/middleware.js';
+import { verifyToken, getBearerToken } from './_lib/auth.js';
+import { createEtag, isNotModified } from './_lib/request.js';
+import { resolveSettings } from './_lib/remote-config.js';
+
+const CONFIG_MAX_AGE_SECONDS = 300;
+
+async function handler(req, res) {
+  const token = getBearerToken(req);
+  const auth = token ? await verifyToken(token) : null;
+
+  const config = await resolveSettings({
+    tier: auth?.tier || null,
+    version: req.query.version || req.headers['x-extension-version'] || null
+  });
+
+  const body = JSON.stringify({
+    success: true,
+    revision: config.revision,
+    settings: config.settings,
+    overrides: config.overrides
+  });
+  const etag = createEtag(body);
+
+  // Private: the answer can depend on the caller's tier
+  res.setHeader('ETag', etag);
+  res.setHeader('Cache-Control', `private, max-age=${CONFIG_MAX_AGE_SECONDS}`);
+  res.setHeader('Vary', 'Authorization');
+
+  if (isNotModified(req, etag)) {
+    return res.status(304).end();
+  }
+
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  return res.status(200).send(body);
+}
+
+export default compose(
+  withErrors({ label: 'Config API' }),
+  withCors({ methods: ['GET'] }),
+  withMethods(['GET'])
+)(handler);
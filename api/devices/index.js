@@ -0,0 +1,77 @@
+// Vercel serverless function for managing the devices bound to a license key
+// Authenticated with the license key plus the access token of one of its bound devices
+//
+// Routes:
+// GET    /api/devices?key={key}                     - List bound devices and seat usage
+// DELETE /api/devices?key={key}&deviceId={deviceId} - Free a seat by removing a device
+
+import { compose, withErrors, withCors, withMethods } from '../_lib/middleware.js';
+import { ApiError } from '../_lib/errors.js';
+import { getLicense, assertLicenseUsable, getBinding, listBindings, getSeatLimit, requireBoundDevice } from '../_lib/licenses.js';
+import { assertTransferAllowed, transferBinding } from '../_lib/device-transfers.js';
+
+async function handler(req, res) {
+  const { key } = req.query;
+
+  if (!key) {
+    throw new ApiError(400, 'INVALID_REQUEST', 'License key is required');
+  }
+
+  const license = await getLicense(key);
+  assertLicenseUsable(license);
+
+  const callerDeviceId = await requireBoundDevice(req, key);
+
+  if (req.method === 'DELETE') {
+    return await handleRemove(req, res, key, callerDeviceId);
+  }
+
+  return await handleList(res, license, callerDeviceId);
+}
+
+async function handleList(res, license, callerDeviceId) {
+  const bindings = await listBindings(license.key);
+
+  return res.status(200).json({
+    success: true,
+    seatsUsed: bindings.length,
+    maxDevices: getSeatLimit(license),
+    devices: bindings.map(binding => ({
+      deviceId: binding.device_id,
+      boundAt: binding.bound_at,
+      lastSeen: binding.last_seen,
+      lastUserAgent: binding.last_user_agent,
+      current: binding.device_id === callerDeviceId
+    }))
+  });
+}
+
+// Removing a seat counts against the same cooldown and monthly limit as a transfer
+async function handleRemove(req, res, key, callerDeviceId) {
+  const { deviceId } = req.query;
+
+  if (!deviceId) {
+    throw new ApiError(400, 'INVALID_REQUEST', 'deviceId is required');
+  }
+
+  if (!(await getBinding(key, deviceId))) {
+    throw new ApiError(404, 'DEVICE_NOT_BOUND', 'This device is not bound to the license.');
+  }
+
+  await assertTransferAllowed(key);
+  await transferBinding(req, { licenseKey: key, fromDeviceId: deviceId, toDeviceId: null, method: 'unbind' });
+
+  console.log(`[Devices API] Key ${key.substring(0, 8)}... removed device ${deviceId} (requested by ${callerDeviceId})`);
+
+  return res.status(200).json({
+    success: true,
+    message: 'Device removed from license.',
+    removedDeviceId: deviceId
+  });
+}
+
+export default compose(
+  withErrors({ label: 'Devices API' }),
+  withCors({ methods: ['GET', 'DELETE'] }),
+  withMethods(['GET', 'DELETE'])
+)(handler);
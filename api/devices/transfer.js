@@ -0,0 +1,142 @@
+// Vercel serverless function for self-service device transfers
+// Moves a license binding to a new machine without a manual device_bindings edit
+//
+// Routes:
+// POST /api/devices/transfer?action=code      - Old device: get a transfer code     (Bearer token, { key })
+// POST /api/devices/transfer?action=transfer  - New device: take over the binding   ({ key, deviceId, version, transferCode } or Bearer token of old device)
+//
+// Transfers hand the new device tokens, so they are held to what /api/validate
+// enforces: its kill switches and the version policy.
+// POST /api/devices/transfer?action=unbind    - Old device: release the binding     (Bearer token, { key })
+
+import { compose, withErrors, withCors, withMethods } from '../_lib/middleware.js';
+import { ApiError } from '../_lib/errors.js';
+import {
+  signAccessToken,
+  signTransferCode,
+  verifyTransferCode,
+  tokenMatchesLicense,
+  ACCESS_TOKEN_TTL_SECONDS,
+  TRANSFER_CODE_TTL_SECONDS
+} from '../_lib/auth.js';
+import { getLicense, assertLicenseUsable, getBinding, requireBoundDevice } from '../_lib/licenses.js';
+import { assertTransferAllowed, transferBinding } from '../_lib/device-transfers.js';
+import { issueRefreshToken } from '../_lib/refresh-tokens.js';
+import { getFlagContext, assertEndpointsEnabled } from '../_lib/flags.js';
+import { checkClientVersion, assertVersionAllowed } from '../_lib/versions.js';
+import { getBaseUrl } from '../_lib/request.js';
+
+async function handler(req, res) {
+  const action = req.query.action || req.body?.action || 'transfer';
+  const { key } = req.body || {};
+
+  if (!key) {
+    throw new ApiError(400, 'INVALID_REQUEST', 'License key is required');
+  }
+
+  const license = await getLicense(key);
+  assertLicenseUsable(license);
+
+  switch (action) {
+    case 'code':
+      return await handleCode(req, res, key);
+    case 'transfer':
+      return await handleTransfer(req, res, license);
+    case 'unbind':
+      return await handleUnbind(req, res, key);
+    default:
+      throw new ApiError(400, 'INVALID_REQUEST', 'Invalid action');
+  }
+}
+
+// Old device generates a short-lived code to enter on the new device
+async function handleCode(req, res, key) {
+  const fromDeviceId = await requireBoundDevice(req, key);
+  const transferCode = await signTransferCode(key, fromDeviceId);
+
+  return res.status(200).json({
+    success: true,
+    transferCode: transferCode,
+    expiresIn: TRANSFER_CODE_TTL_SECONDS
+  });
+}
+
+// New device takes over the binding using a transfer code or the old device's token
+async function handleTransfer(req, res, license) {
+  const key = license.key;
+  const { deviceId, version, transferCode } = req.body;
+
+  if (!deviceId) {
+    throw new ApiError(400, 'INVALID_REQUEST', 'deviceId is required');
+  }
+
+  await assertEndpointsEnabled(await getFlagContext(req, { licenseKey: key, version }), ['validate']);
+
+  const updateNotification = assertVersionAllowed(
+    await checkClientVersion({ license, deviceId, version, baseUrl: getBaseUrl(req) })
+  );
+
+  let fromDeviceId;
+  let method;
+
+  if (transferCode) {
+    const payload = await verifyTransferCode(transferCode);
+    if (!payload || !tokenMatchesLicense(payload, key)) {
+      throw new ApiError(401, 'INVALID_TRANSFER_CODE', 'Transfer code is invalid or has expired.');
+    }
+    if (!(await getBinding(key, payload.deviceId))) {
+      throw new ApiError(409, 'DEVICE_NOT_BOUND', 'The old device is no longer bound to this license.');
+    }
+    fromDeviceId = payload.deviceId;
+    method = 'code';
+  } else {
+    fromDeviceId = await requireBoundDevice(req, key);
+    method = 'token';
+  }
+
+  if (fromDeviceId === deviceId || await getBinding(key, deviceId)) {
+    throw new ApiError(409, 'ALREADY_BOUND', 'This device is already bound to the license.');
+  }
+
+  await assertTransferAllowed(key);
+  await transferBinding(req, { licenseKey: key, fromDeviceId, toDeviceId: deviceId, method });
+
+  console.log(`[Device Transfer API] Key ${key.substring(0, 8)}... moved ${fromDeviceId} -> ${deviceId} (${method})`);
+
+  const token = await signAccessToken(license, deviceId);
+  const refresh = await issueRefreshToken(key, deviceId);
+
+  return res.status(200).json({
+    success: true,
+    reason: 'TRANSFERRED',
+    message: 'License transferred to this device.',
+    deviceId: deviceId,
+    token: token,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    refreshToken: refresh.refreshToken,
+    refreshTokenExpiresAt: refresh.expiresAt,
+    ...(updateNotification && { updateNotification })
+  });
+}
+
+// Old device releases its binding so the next device to validate picks it up
+async function handleUnbind(req, res, key) {
+  const fromDeviceId = await requireBoundDevice(req, key);
+
+  await assertTransferAllowed(key);
+  await transferBinding(req, { licenseKey: key, fromDeviceId, toDeviceId: null, method: 'unbind' });
+
+  console.log(`[Device Transfer API] Key ${key.substring(0, 8)}... unbound from ${fromDeviceId}`);
+
+  return res.status(200).json({
+    success: true,
+    reason: 'UNBOUND',
+    message: 'Device unbound. Activate the license on your new device.'
+  });
+}
+
+export default compose(
+  withErrors({ label: 'Device Transfer API' }),
+  withCors({ methods: ['POST'] }),
+  withMethods(['POST'])
+)(handler);
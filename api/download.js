@@ -0,0 +1,85 @@
+// Vercel serverless function for extension downloads
+// Redirects to a short-lived signed URL for a version's zip, with its SHA-256
+// in the response headers. /honed.zip serves the latest stable release; any
+// older version stays downloadable by number for rollbacks.
+// Releases without an uploaded artifact fall back to their download_url, or to
+// the zip deployed with the site when that URL points back at this route.
+//
+// GET /api/download?version=1.2.0
+// GET /honed.zip (see vercel.json)
+
+import { compose, withErrors, withCors, withMethods } from './_lib/middleware.js';
+import { ApiError } from './_lib/errors.js';
+import { getSupabase } from './_lib/supabase.js';
+import { resolveVersionPolicy, DEFAULT_CHANNEL } from './_lib/versions.js';
+import { createArtifactUrl } from './_lib/artifacts.js';
+import { getBaseUrl } from './_lib/request.js';
+
+// Static zip deployed with the site, where /honed.zip pointed before this route
+// (everything is served under /vercel, see vercel.json)
+const STATIC_ZIP_PATH = '/vercel/public/honed.zip';
+// URLs that reach this route - redirecting to them would loop
+const DOWNLOAD_ROUTE_PATHS = ['/honed.zip', '/api/download'];
+
+/**
+ * @param {string} url - download_url from an extension_versions row
+ * @param {string} baseUrl - Public origin of this deployment
+ * @returns {boolean} True if the URL points back at this route
+ */
+function isDownloadRoute(url, baseUrl) {
+  try {
+    const { origin, pathname } = new URL(url, baseUrl);
+    return origin === new URL(baseUrl).origin && DOWNLOAD_ROUTE_PATHS.includes(pathname.toLowerCase());
+  } catch {
+    return false;
+  }
+}
+
+async function getVersionRow(version) {
+  if (!version) {
+    return resolveVersionPolicy({ license: null, deviceId: null, channel: DEFAULT_CHANNEL });
+  }
+
+  const { data, error } = await getSupabase()
+    .from('extension_versions')
+    .select('*')
+    .eq('version', version)
+    .single();
+
+  if (error && error.code !== 'PGRST116') throw error;
+
+  return data || null;
+}
+
+async function handler(req, res) {
+  const versionRow = await getVersionRow(req.query.version);
+
+  if (!versionRow) {
+    throw new ApiError(404, 'NOT_FOUND', req.query.version ? `Version ${req.query.version} not found` : 'No released version');
+  }
+
+  let location;
+  if (versionRow.artifact_path) {
+    location = await createArtifactUrl(versionRow.artifact_path);
+    res.setHeader('X-Checksum-SHA256', versionRow.artifact_sha256);
+    res.setHeader('X-Artifact-Size', String(versionRow.artifact_size));
+  } else if (versionRow.download_url && !isDownloadRoute(versionRow.download_url, getBaseUrl(req))) {
+    // Versions from before artifact uploads only have a free-text URL
+    location = versionRow.download_url;
+  } else if (versionRow.download_url || !req.query.version) {
+    location = STATIC_ZIP_PATH;
+  } else {
+    throw new ApiError(404, 'NOT_FOUND', `No download available for version ${versionRow.version}`);
+  }
+
+  res.setHeader('X-Extension-Version', versionRow.version);
+  res.setHeader('Cache-Control', 'no-store');
+  res.setHeader('Location', location);
+  return res.status(302).end();
+}
+
+export default compose(
+  withErrors({ label: 'Download API' }),
+  withCors({ methods: ['GET'] }),
+  withMethods(['GET'])
+)(handler);
@@ -0,0 +1,42 @@
+// Vercel serverless function exposing feature flags and kill switches
+// Lets the extension switch off a broken feature (e.g. only /api/community,
+// only on axiom, only for one version) without a full outage or a release
+//
+// GET /api/flags?version=1.2.0&site=padre|axiom
+// Authorization: Bearer <token> is optional; with it, license-scoped flags apply
+
+import { compose, withErrors, withCors, withMethods } from './_lib/middleware.js';
+import { verifyToken, getBearerToken } from './_lib/auth.js';
+import { getFlagContext, evaluateFlags, getDisabledEndpoints } from './_lib/flags.js';
+
+const FLAGS_MAX_AGE_SECONDS = 60;
+
+async function handler(req, res) {
+  const token = getBearerToken(req);
+  if (token) {
+    req.auth = await verifyToken(token);
+  }
+
+  const context = await getFlagContext(req);
+  const [flags, killSwitches] = await Promise.all([
+    evaluateFlags(context),
+    getDisabledEndpoints(context)
+  ]);
+
+  // Private: the answer can depend on the caller's license
+  res.setHeader('Cache-Control', `private, max-age=${FLAGS_MAX_AGE_SECONDS}`);
+
+  return res.status(200).json({
+    success: true,
+    flags: flags,
+    maintenance: killSwitches.all,
+    disabledEndpoints: killSwitches.endpoints,
+    ttl: FLAGS_MAX_AGE_SECONDS
+  });
+}
+
+export default compose(
+  withErrors({ label: 'Flags API' }),
+  withCors({ methods: ['GET'] }),
+  withMethods(['GET'])
+)(handler);
@@ -0,0 +1,49 @@
+// Vercel serverless function serving the latest extension version manifest
+// Served at /latest-version.json (see vercel.json) and generated from
+// extension_versions, so it always matches what admin-versions manages
+//
+// GET /latest-version.json?channel=stable|beta
+
+import { compose, withErrors, withCors, withMethods } from './_lib/middleware.js';
+import { ApiError } from './_lib/errors.js';
+import { getBaseUrl } from './_lib/request.js';
+import { getDownloadInfo } from './_lib/artifacts.js';
+import { RELEASE_CHANNELS, DEFAULT_CHANNEL, resolveVersionPolicy } from './_lib/versions.js';
+
+async function handler(req, res) {
+  const channel = req.query.channel || DEFAULT_CHANNEL;
+
+  if (!RELEASE_CHANNELS.includes(channel)) {
+    throw new ApiError(400, 'INVALID_REQUEST', `channel must be one of: ${RELEASE_CHANNELS.join(', ')}`);
+  }
+
+  // No device here, so staged rollouts don't count until they reach 100%
+  const latest = await resolveVersionPolicy({ license: null, deviceId: null, channel });
+
+  if (!latest) {
+    throw new ApiError(404, 'NOT_FOUND', `No released version on the ${channel} channel`);
+  }
+
+  const { downloadUrl, sha256, size } = getDownloadInfo(latest, getBaseUrl(req));
+
+  res.setHeader('Cache-Control', 'public, s-maxage=60, stale-while-revalidate=300');
+
+  return res.status(200).json({
+    version: latest.version,
+    channel: latest.channel,
+    minimumVersion: latest.minimum_version || '1.0',
+    recommendedVersion: latest.recommended_version || null,
+    enforceAfter: latest.enforce_after || null,
+    downloadUrl: downloadUrl,
+    sha256: sha256,
+    size: size,
+    releaseNotes: latest.release_notes || null,
+    releasedAt: latest.created_at || null
+  });
+}
+
+export default compose(
+  withErrors({ label: 'LatestVersion API' }),
+  withCors({ methods: ['GET'] }),
+  withMethods(['GET'])
+)(handler);
@@ -1,88 +1,59 @@
-export default async function handler(req, res) {
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-
-    if (req.method === 'OPTIONS') return res.status(200).end();
-    if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
-
-    try {
-      const { key, deviceId } = req.query;
-
-      if (!key) return res.status(400).json({ error: 'Missing key' });
-      if (!deviceId) return res.status(400).json({ error: 'Missing deviceId' });
-
-      // Get current device bindings
-      const deviceBindings = process.env.DEVICE_BINDINGS || '';
-      const bindings = {};
-
-      if (deviceBindings) {
-        deviceBindings.split(',').forEach(binding => {
-          const [k, d] = binding.split(':');
-          if (k && d) bindings[k] = d;
-        });
-      }
-
-      // Check if revoked
-      const revokedKeys = process.env.REVOKED_KEYS?.split(',') || [];
-      if (revokedKeys.includes(key)) {
-        return res.status(200).json({
-          success: false,
-          registered: false,
-          reason: 'REVOKED',
-          message: 'This license has been revoked.'
-        });
-      }
-
-      // Check kill switch
-      if (process.env.MASTER_KILL_SWITCH === 'true') {
-        return res.status(200).json({
-          success: false,
-          registered: false,
-          reason: 'MAINTENANCE',
-          message: 'Extension is temporarily disabled.'
-        });
-      }
-
-      const boundDeviceId = bindings[key];
+// Vercel serverless function for license registration
+// Same Supabase-backed activation as /api/validate (without the version check),
+// so both routes share one binding store and one response contract:
+// { valid, reason, message, ... }
+// The success/registered/alreadyBound fields register returned before are kept
+// alongside it for extension builds that still read them.
+
+import { compose, withErrors, withCors, withMethods } from './_lib/middleware.js';
+import { ApiError } from './_lib/errors.js';
+import { getFlagContext, getKillSwitch } from './_lib/flags.js';
+import { activateLicense, licenseErrorEnvelope } from './_lib/activation.js';
+
+async function handler(req, res) {
+  const { key, deviceId } = req.query;
+
+  const killSwitch = await getKillSwitch(await getFlagContext(req, { endpoint: 'register', licenseKey: key || null }));
+  if (killSwitch) {
+    return res.status(200).json(withLegacyFields({
+      valid: false,
+      reason: 'MAINTENANCE',
+      message: killSwitch.message
+    }));
+  }
 
-      // Key not bound yet - auto-register this device (first come, first served)
-      if (!boundDeviceId) {
-        // Log for admin to add to env vars
-        console.log(`[LICENSE REGISTRATION] New device for key ${key.substring(0, 8)}... : deviceId=${deviceId}`);
+  if (!key || !deviceId) {
+    throw new ApiError(400, 'INVALID_REQUEST', 'License key and device ID are required');
+  }
 
-        return res.status(200).json({
-          success: true,
-          registered: true,
-          alreadyBound: false,
-          message: 'License activated successfully!'
-        });
-      }
+  const result = await activateLicense(req, { key, deviceId, endpoint: 'register' });
 
-      // Key already bound - check if it's this device
-      if (boundDeviceId === deviceId) {
-        return res.status(200).json({
-          success: true,
-          registered: true,
-          alreadyBound: true,
-          message: 'License already activated on this device.'
-        });
-      }
+  if (!result.valid) {
+    console.log(`[Register API] Key ${key.substring(0, 8)}... rejected for device ${deviceId}: ${result.reason}`);
+  }
 
-      // Different device - show error with device IDs
-      console.log(`[LICENSE BLOCKED] Key ${key.substring(0, 8)}... - Attempted access from device: ${deviceId}, Bound to: ${boundDeviceId}`);
+  return res.status(200).json(withLegacyFields(result));
+}
+
+/**
+ * Add the pre-activation register fields to a license response
+ * @param {object} result - License response body
+ * @returns {object}
+ */
+function withLegacyFields(result) {
+  const legacy = { success: result.valid, registered: result.valid };
+
+  if (result.valid) {
+    legacy.alreadyBound = !result.newDevice;
+  } else if (result.reason === 'DEVICE_MISMATCH') {
+    legacy.alreadyBound = true;
+  }
 
-      return res.status(200).json({
-        success: false,
-        registered: false,
-        reason: 'DEVICE_MISMATCH',
-        alreadyBound: true,
-        boundDeviceId: boundDeviceId,
-        currentDeviceId: deviceId,
-        message: `This license is already activated on another device. Your device ID: ${deviceId}`
-      });
+  return { ...result, ...legacy };
+}
 
-    } catch (error) {
-      return res.status(500).json({ error: error.message });
-    }
-  }
+export default compose(
+  withErrors({ label: 'Register API', envelope: (error, status) => withLegacyFields(licenseErrorEnvelope(error, status)) }),
+  withCors({ methods: ['GET'] }),
+  withMethods(['GET'])
+)(handler);
@@ -0,0 +1,75 @@
+// Vercel serverless function for renewing access tokens
+// Exchanges a device-bound refresh token (issued by /api/validate) for a new
+// access token and a rotated refresh token, without re-running full validation
+//
+// POST /api/token/refresh  { "refreshToken": "...", "deviceId": "...", "version": "1.2.0" }
+//
+// Refreshing is held to what /api/validate enforces: its kill switches and the
+// version policy. Once refused, the client has to validate again.
+
+import { compose, withErrors, withCors, withMethods, withKillSwitch } from '../_lib/middleware.js';
+import { ApiError } from '../_lib/errors.js';
+import { signAccessToken, ACCESS_TOKEN_TTL_SECONDS } from '../_lib/auth.js';
+import { consumeRefreshToken, issueRefreshToken, revokeRefreshTokens } from '../_lib/refresh-tokens.js';
+import { getLicense, getLicenseStatus, getBinding } from '../_lib/licenses.js';
+import { getFlagContext, assertEndpointsEnabled } from '../_lib/flags.js';
+import { checkClientVersion, assertVersionAllowed } from '../_lib/versions.js';
+import { getBaseUrl } from '../_lib/request.js';
+import { recordDeviceActivity } from '../_lib/tracking.js';
+import { normalizeTier } from '../_lib/tiers.js';
+
+async function handler(req, res) {
+  const { refreshToken, deviceId, version } = req.body || {};
+
+  if (!refreshToken || !deviceId) {
+    throw new ApiError(400, 'INVALID_REQUEST', 'refreshToken and deviceId are required');
+  }
+
+  const { licenseKey, familyId } = await consumeRefreshToken(refreshToken, deviceId);
+
+  // The license may have been revoked or expired since the family was issued
+  const license = await getLicense(licenseKey);
+  const status = getLicenseStatus(license);
+
+  if (status.reason !== 'VALID') {
+    await revokeRefreshTokens({ licenseKey });
+    throw new ApiError(401, status.reason, status.message);
+  }
+
+  // The device may have been unbound since the family was issued
+  const binding = await getBinding(licenseKey, deviceId);
+  if (!binding) {
+    await revokeRefreshTokens({ familyId });
+    throw new ApiError(401, 'DEVICE_MISMATCH', 'This device is no longer bound to the license.');
+  }
+
+  // License-scoped switches can only match now that the token has named the license
+  await assertEndpointsEnabled(await getFlagContext(req, { licenseKey, version }), ['validate', 'token/refresh']);
+
+  const updateNotification = assertVersionAllowed(
+    await checkClientVersion({ license, deviceId, version, baseUrl: getBaseUrl(req) })
+  );
+
+  const next = await issueRefreshToken(licenseKey, deviceId, familyId);
+  const token = await signAccessToken(license, deviceId);
+
+  await recordDeviceActivity(req, { deviceId, endpoint: 'token/refresh' });
+
+  return res.status(200).json({
+    success: true,
+    token: token,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    tier: normalizeTier(license.tier),
+    licenseExpiresAt: license.expires_at || null,
+    refreshToken: next.refreshToken,
+    refreshTokenExpiresAt: next.expiresAt,
+    ...(updateNotification && { updateNotification })
+  });
+}
+
+export default compose(
+  withErrors({ label: 'Token Refresh API' }),
+  withCors({ methods: ['POST'] }),
+  withMethods(['POST']),
+  withKillSwitch('token/refresh')
+)(handler);
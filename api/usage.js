@@ -0,0 +1,92 @@
+// Vercel serverless function for a license's own credit consumption
+// Returns usage grouped by endpoint and by day, plus remaining quota
+// JWT authentication required
+//
+// GET /api/usage?days=30
+
+import { compose, withErrors, withCors, withMethods, withAuth, withDeviceTracking } from './_lib/middleware.js';
+import { ApiError } from './_lib/errors.js';
+import { getServiceSupabase } from './_lib/supabase.js';
+import { getLicense } from './_lib/licenses.js';
+import { getCreditLimits, getCreditUsage, getQuotaPeriods } from './_lib/quotas.js';
+
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 90;
+
+async function handler(req, res) {
+  if (!req.licenseKey) {
+    throw new ApiError(403, 'DEVICE_NOT_BOUND', 'This device is not bound to a license.');
+  }
+
+  const days = Math.min(Math.max(parseInt(req.query.days, 10) || DEFAULT_DAYS, 1), MAX_DAYS);
+  const { dayStart, nextDay, nextMonth } = getQuotaPeriods();
+  const since = new Date(dayStart.getTime() - (days - 1) * 24 * 60 * 60 * 1000);
+
+  const [license, usage, breakdown] = await Promise.all([
+    getLicense(req.licenseKey),
+    getCreditUsage(req.licenseKey),
+    getServiceSupabase()
+      .rpc('get_usage_breakdown', {
+        p_license_key: req.licenseKey,
+        p_since: since.toISOString()
+      })
+  ]);
+
+  if (breakdown.error) throw breakdown.error;
+
+  if (!license) {
+    throw new ApiError(404, 'INVALID', 'Invalid license key.');
+  }
+
+  const byEndpoint = {};
+  const byDay = {};
+
+  for (const row of breakdown.data || []) {
+    const requests = Number(row.requests);
+    const credits = Number(row.credits);
+
+    byEndpoint[row.endpoint] ||= { requests: 0, credits: 0 };
+    byEndpoint[row.endpoint].requests += requests;
+    byEndpoint[row.endpoint].credits += credits;
+
+    byDay[row.day] ||= { requests: 0, credits: 0 };
+    byDay[row.day].requests += requests;
+    byDay[row.day].credits += credits;
+  }
+
+  const limits = getCreditLimits(license);
+
+  return res.status(200).json({
+    success: true,
+    since: since.toISOString(),
+    days: days,
+    byEndpoint: Object.entries(byEndpoint)
+      .map(([endpoint, totals]) => ({ endpoint, ...totals }))
+      .sort((a, b) => b.credits - a.credits),
+    byDay: Object.entries(byDay)
+      .map(([day, totals]) => ({ day, ...totals }))
+      .sort((a, b) => b.day.localeCompare(a.day)),
+    quota: {
+      daily: {
+        limit: limits.daily,
+        used: usage.daily,
+        remaining: Math.max(0, limits.daily - usage.daily),
+        resetsAt: nextDay.toISOString()
+      },
+      monthly: {
+        limit: limits.monthly,
+        used: usage.monthly,
+        remaining: Math.max(0, limits.monthly - usage.monthly),
+        resetsAt: nextMonth.toISOString()
+      }
+    }
+  });
+}
+
+export default compose(
+  withErrors({ label: 'Usage API' }),
+  withCors({ methods: ['GET'] }),
+  withMethods(['GET']),
+  withAuth(),
+  withDeviceTracking('usage')
+)(handler);
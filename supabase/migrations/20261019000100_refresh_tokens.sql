@@ -0,0 +1,21 @@
+-- Device-bound refresh tokens for /api/token/refresh
+-- Tokens are stored as SHA-256 hashes and rotate on every use.
+-- All tokens issued from one /api/validate call share a family_id.
+
+create table if not exists refresh_tokens (
+  id uuid primary key default gen_random_uuid(),
+  family_id uuid not null,
+  license_key text not null,
+  device_id text not null,
+  token_hash text not null unique,
+  created_at timestamptz not null default now(),
+  expires_at timestamptz not null,
+  used_at timestamptz,
+  revoked_at timestamptz
+);
+
+create index if not exists refresh_tokens_family_idx on refresh_tokens (family_id);
+create index if not exists refresh_tokens_license_idx on refresh_tokens (license_key);
+
+alter table refresh_tokens enable row level security;
+-- No policies: only the service key can read or write refresh tokens
@@ -0,0 +1,19 @@
+-- Audit log for self-service device transfers (/api/devices/transfer)
+-- Also drives the per-key cooldown and monthly transfer limit.
+
+create table if not exists device_transfers (
+  id uuid primary key default gen_random_uuid(),
+  license_key text not null,
+  from_device_id text not null,
+  to_device_id text,
+  method text not null check (method in ('token', 'code', 'unbind')),
+  ip_address text,
+  user_agent text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists device_transfers_license_created_idx
+  on device_transfers (license_key, created_at desc);
+
+alter table device_transfers enable row level security;
+-- No policies: only the service key can read or write the audit log
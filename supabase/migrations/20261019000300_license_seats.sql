@@ -0,0 +1,9 @@
+-- Multi-seat licenses: a key may be bound to up to max_devices devices
+
+alter table license_keys
+  add column if not exists max_devices integer not null default 1
+  check (max_devices >= 1);
+
+-- A key used to have at most one binding; now it has one per seat
+create unique index if not exists device_bindings_license_device_idx
+  on device_bindings (license_key, device_id);
@@ -0,0 +1,36 @@
+-- License expiry, plan tiers and trial keys
+
+alter table license_keys
+  add column if not exists tier text not null default 'standard'
+    check (tier in ('trial', 'standard', 'pro')),
+  add column if not exists expires_at timestamptz,
+  add column if not exists trial_converted_at timestamptz;
+
+-- Convert a trial key to a paid tier in place, keeping its device bindings,
+-- refresh tokens and usage history. A null p_expires_at means no expiry.
+create or replace function convert_trial_license(p_key text, p_tier text, p_expires_at timestamptz)
+returns license_keys
+language plpgsql
+as $$
+declare
+  converted license_keys;
+begin
+  if p_tier = 'trial' then
+    raise exception 'Cannot convert a trial key to the trial tier';
+  end if;
+
+  update license_keys
+     set tier = p_tier,
+         expires_at = p_expires_at,
+         trial_converted_at = now()
+   where key = p_key
+     and tier = 'trial'
+  returning * into converted;
+
+  if converted.key is null then
+    raise exception 'License % is not a trial key', p_key;
+  end if;
+
+  return converted;
+end;
+$$;
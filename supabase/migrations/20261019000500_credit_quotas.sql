@@ -0,0 +1,23 @@
+-- Per-license credit budgets for twitterapi.io-backed routes
+-- A null limit means the tier default from api/_lib/tiers.js applies.
+
+alter table license_keys
+  add column if not exists daily_credit_limit integer check (daily_credit_limit >= 0),
+  add column if not exists monthly_credit_limit integer check (monthly_credit_limit >= 0);
+
+create index if not exists api_requests_license_created_idx
+  on api_requests (license_key, created_at desc);
+
+-- Credits used by a license since the start of the current UTC day and month
+create or replace function get_credit_usage(p_license_key text, p_day_start timestamptz, p_month_start timestamptz)
+returns table (daily bigint, monthly bigint)
+language sql
+stable
+as $$
+  select
+    coalesce(sum(credits_used) filter (where created_at >= p_day_start), 0)::bigint as daily,
+    coalesce(sum(credits_used), 0)::bigint as monthly
+  from api_requests
+  where license_key = p_license_key
+    and created_at >= p_month_start;
+$$;
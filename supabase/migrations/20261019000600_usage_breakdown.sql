@@ -0,0 +1,18 @@
+-- Per-day, per-endpoint usage for /api/usage
+
+create or replace function get_usage_breakdown(p_license_key text, p_since timestamptz)
+returns table (day date, endpoint text, requests bigint, credits bigint)
+language sql
+stable
+as $$
+  select
+    (created_at at time zone 'utc')::date as day,
+    endpoint,
+    count(*)::bigint as requests,
+    coalesce(sum(credits_used), 0)::bigint as credits
+  from api_requests
+  where license_key = p_license_key
+    and created_at >= p_since
+  group by 1, 2
+  order by 1 desc, 2;
+$$;
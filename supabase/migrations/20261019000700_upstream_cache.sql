@@ -0,0 +1,18 @@
+-- Shared cache for twitterapi.io lookups (/api/twitter, /api/community)
+-- fresh until expires_at, served stale (and revalidated) until stale_until.
+-- refreshing_until is a short lease so only one instance revalidates an entry.
+
+create table if not exists upstream_cache (
+  cache_key text primary key,
+  resource text not null,
+  payload jsonb not null,
+  fetched_at timestamptz not null default now(),
+  expires_at timestamptz not null,
+  stale_until timestamptz not null,
+  refreshing_until timestamptz
+);
+
+create index if not exists upstream_cache_stale_until_idx on upstream_cache (stale_until);
+
+alter table upstream_cache enable row level security;
+-- No policies: only the service key can read or write the cache
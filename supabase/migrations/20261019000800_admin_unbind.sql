@@ -0,0 +1,6 @@
+-- Admin force-unbinds are audited alongside self-service transfers
+
+alter table device_transfers drop constraint if exists device_transfers_method_check;
+alter table device_transfers
+  add constraint device_transfers_method_check
+  check (method in ('token', 'code', 'unbind', 'admin'));
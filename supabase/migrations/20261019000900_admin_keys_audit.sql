@@ -0,0 +1,39 @@
+-- Named, scoped admin API keys and an audit log of admin changes
+--
+-- Keys are stored as SHA-256 hex digests. To create one:
+--   insert into admin_api_keys (name, key_hash, scopes)
+--   values ('alice', encode(sha256('<random secret>'::bytea), 'hex'), '{versions:write,licenses:read}');
+--
+-- Scopes: versions:read, versions:write, licenses:read, licenses:write.
+-- 'versions:*' grants every versions scope and '*' grants everything.
+
+create table if not exists admin_api_keys (
+  id uuid primary key default gen_random_uuid(),
+  name text not null unique,
+  key_hash text not null unique,
+  scopes text[] not null default '{}',
+  created_at timestamptz not null default now(),
+  last_used_at timestamptz,
+  revoked_at timestamptz
+);
+
+create table if not exists admin_audit_log (
+  id bigint generated always as identity primary key,
+  admin_key_id uuid references admin_api_keys (id),
+  admin_name text not null,
+  action text not null,
+  resource_type text not null,
+  resource_id text,
+  before jsonb,
+  after jsonb,
+  ip_address text,
+  user_agent text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists admin_audit_log_resource_idx
+  on admin_audit_log (resource_type, resource_id, created_at desc);
+
+alter table admin_api_keys enable row level security;
+alter table admin_audit_log enable row level security;
+-- No policies: only the service key can read or write admin keys and the audit log
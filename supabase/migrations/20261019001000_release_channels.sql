@@ -0,0 +1,18 @@
+-- Release channels, staged rollouts and per-license version pinning
+
+alter table extension_versions
+  add column if not exists channel text not null default 'stable'
+    check (channel in ('stable', 'beta')),
+  add column if not exists rollout_percent integer not null default 100
+    check (rollout_percent between 0 and 100);
+
+create index if not exists extension_versions_channel_active_idx
+  on extension_versions (channel, is_active, created_at desc);
+
+-- release_channel: which channel's versions a license follows (null = stable)
+-- pinned_version: hold a license on one version row regardless of channel and rollout
+alter table license_keys
+  add column if not exists release_channel text
+    check (release_channel in ('stable', 'beta')),
+  add column if not exists pinned_version text
+    references extension_versions (version) on update cascade on delete set null;
@@ -0,0 +1,9 @@
+-- Soft update recommendations and a grace period before minimum_version is enforced
+--
+-- recommended_version: clients below it stay valid but get an update notice
+-- enforce_after: clients below minimum_version keep working until this time
+--                (null = enforce immediately, as before)
+
+alter table extension_versions
+  add column if not exists recommended_version text,
+  add column if not exists enforce_after timestamptz;
@@ -0,0 +1,13 @@
+-- Versioned extension artifacts with integrity hashes
+
+alter table extension_versions
+  add column if not exists artifact_path text,
+  add column if not exists artifact_sha256 text
+    check (artifact_sha256 ~ '^[0-9a-f]{64}$'),
+  add column if not exists artifact_size bigint,
+  add column if not exists artifact_uploaded_at timestamptz;
+
+-- Private bucket: downloads are served through signed URLs from /api/download
+insert into storage.buckets (id, name, public)
+values ('extension-artifacts', 'extension-artifacts', false)
+on conflict (id) do nothing;
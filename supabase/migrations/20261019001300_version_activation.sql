@@ -0,0 +1,120 @@
+-- Atomic version activation, activation history and one-step rollback
+--
+-- Exactly one version per channel is active. activate_extension_version()
+-- and rollback_extension_version() switch it in a single transaction and
+-- record the switch in version_activations, which also tells validate which
+-- version devices outside a staged rollout stay on.
+
+create table if not exists version_activations (
+  id bigint generated always as identity primary key,
+  channel text not null,
+  action text not null check (action in ('activate', 'rollback')),
+  version text not null references extension_versions (version) on update cascade on delete cascade,
+  minimum_version text,
+  previous_version text references extension_versions (version) on update cascade on delete set null,
+  previous_minimum_version text,
+  activated_by text not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists version_activations_channel_idx
+  on version_activations (channel, created_at desc);
+
+alter table version_activations enable row level security;
+create policy "version_activations readable" on version_activations for select using (true);
+
+-- Keep only the newest active row per channel before enforcing uniqueness
+update extension_versions v
+   set is_active = false
+ where is_active
+   and exists (
+     select 1 from extension_versions newer
+      where newer.channel = v.channel
+        and newer.is_active
+        and newer.created_at > v.created_at
+   );
+
+create unique index if not exists extension_versions_one_active_per_channel
+  on extension_versions (channel) where is_active;
+
+create or replace function activate_extension_version(p_version text, p_activated_by text)
+returns version_activations
+language plpgsql
+as $$
+declare
+  target extension_versions;
+  previous extension_versions;
+  activation version_activations;
+begin
+  -- Serialize activations so two admins can't race each other
+  perform pg_advisory_xact_lock(hashtext('extension_versions.activation'));
+
+  select * into target from extension_versions where version = p_version;
+  if target.version is null then
+    raise exception 'Version % not found', p_version using errcode = 'P0002';
+  end if;
+
+  select * into previous from extension_versions
+   where channel = target.channel and is_active and version <> p_version;
+
+  update extension_versions
+     set is_active = false, updated_at = now()
+   where channel = target.channel and is_active and version <> p_version;
+
+  update extension_versions
+     set is_active = true, updated_at = now()
+   where version = p_version;
+
+  insert into version_activations
+    (channel, action, version, minimum_version, previous_version, previous_minimum_version, activated_by)
+  values
+    (target.channel, 'activate', target.version, target.minimum_version, previous.version, previous.minimum_version, p_activated_by)
+  returning * into activation;
+
+  return activation;
+end;
+$$;
+
+-- Restore the version that was active before the channel's latest activation,
+-- along with the minimum_version it had at the time
+create or replace function rollback_extension_version(p_channel text, p_activated_by text)
+returns version_activations
+language plpgsql
+as $$
+declare
+  latest version_activations;
+  current_row extension_versions;
+  activation version_activations;
+begin
+  perform pg_advisory_xact_lock(hashtext('extension_versions.activation'));
+
+  select * into latest from version_activations
+   where channel = p_channel
+   order by created_at desc, id desc
+   limit 1;
+
+  if latest.id is null or latest.previous_version is null then
+    raise exception 'Nothing to roll back to on the % channel', p_channel;
+  end if;
+
+  select * into current_row from extension_versions where version = latest.version;
+
+  update extension_versions
+     set is_active = false, updated_at = now()
+   where channel = p_channel and is_active;
+
+  update extension_versions
+     set is_active = true,
+         minimum_version = coalesce(latest.previous_minimum_version, minimum_version),
+         updated_at = now()
+   where version = latest.previous_version;
+
+  insert into version_activations
+    (channel, action, version, minimum_version, previous_version, previous_minimum_version, activated_by)
+  values
+    (p_channel, 'rollback', latest.previous_version, latest.previous_minimum_version, current_row.version, current_row.minimum_version, p_activated_by)
+  returning * into activation;
+
+  return activation;
+end;
+$$;
@@ -0,0 +1,36 @@
+-- DB-backed feature flags and kill switches (replaces the MASTER_KILL_SWITCH env var)
+--
+-- A row applies when every scope column it sets matches the request; null
+-- scope columns match anything. When several rows of one flag apply, the most
+-- specific wins (license > extension_version > host_site > endpoint).
+--
+-- The reserved 'kill_switch' flag disables endpoints: enabled = true turns the
+-- matching endpoint off (endpoint null = every endpoint), and a more specific
+-- row with enabled = false exempts e.g. one license from it.
+
+create table if not exists feature_flags (
+  id uuid primary key default gen_random_uuid(),
+  flag text not null,
+  enabled boolean not null default true,
+  value jsonb,
+  message text,
+  endpoint text,
+  extension_version text,
+  host_site text check (host_site in ('padre', 'axiom')),
+  license_key text references license_keys (key) on update cascade on delete cascade,
+  updated_by text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create unique index if not exists feature_flags_scope_idx
+  on feature_flags (
+    flag,
+    coalesce(endpoint, ''),
+    coalesce(extension_version, ''),
+    coalesce(host_site, ''),
+    coalesce(license_key, '')
+  );
+
+alter table feature_flags enable row level security;
+-- No policies: flags are read with the service key and served through /api/flags
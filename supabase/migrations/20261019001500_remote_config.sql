@@ -0,0 +1,30 @@
+-- Remote default settings for the extension
+--
+-- remote_config_revisions holds every published set of defaults; the highest
+-- revision is live, older ones stay for history and rollback. Overrides patch
+-- the defaults for a tier and/or an inclusive extension version range.
+
+create table if not exists remote_config_revisions (
+  revision bigint generated always as identity primary key,
+  settings jsonb not null check (jsonb_typeof(settings) = 'object'),
+  notes text,
+  created_by text not null,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists remote_config_overrides (
+  id uuid primary key default gen_random_uuid(),
+  tier text check (tier in ('trial', 'standard', 'pro')),
+  min_version text,
+  max_version text,
+  settings jsonb not null check (jsonb_typeof(settings) = 'object'),
+  priority integer not null default 0,
+  notes text,
+  updated_by text not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+alter table remote_config_revisions enable row level security;
+alter table remote_config_overrides enable row level security;
+-- No policies: read with the service key and served through /api/config
@@ -0,0 +1,92 @@
+-- Change feed for incremental sync of admins and tokens
+--
+-- Triggers log every insert, update and delete to data_changes. /api/changes
+-- reads the log after a client's cursor and returns upserts plus tombstones.
+-- Renaming a row's key logs a delete for the old key and an upsert for the new.
+--
+-- The log is pruned by prune_data_changes(); data_changes_horizon remembers how
+-- far, so clients whose cursor falls behind it are told to resync. Schedule it
+-- with pg_cron, e.g.:
+--   select cron.schedule('prune-data-changes', '17 3 * * *', $$select prune_data_changes()$$);
+
+create table if not exists data_changes (
+  id bigint generated always as identity primary key,
+  entity text not null check (entity in ('admin', 'token')),
+  entity_key text not null,
+  op text not null check (op in ('upsert', 'delete')),
+  changed_at timestamptz not null default now()
+);
+
+create index if not exists data_changes_changed_at_idx on data_changes (changed_at);
+
+create table if not exists data_changes_horizon (
+  id boolean primary key default true check (id),
+  pruned_through bigint not null default 0
+);
+
+insert into data_changes_horizon default values on conflict (id) do nothing;
+
+alter table data_changes enable row level security;
+alter table data_changes_horizon enable row level security;
+-- No policies: read with the service key through /api/changes
+
+-- TG_ARGV[0] = entity name, TG_ARGV[1] = key column
+create or replace function record_data_change()
+returns trigger
+language plpgsql
+as $$
+declare
+  old_key text;
+  new_key text;
+begin
+  if TG_OP = 'UPDATE' and old is not distinct from new then
+    return null;
+  end if;
+
+  if TG_OP in ('UPDATE', 'DELETE') then
+    old_key := to_jsonb(old) ->> TG_ARGV[1];
+  end if;
+  if TG_OP in ('INSERT', 'UPDATE') then
+    new_key := to_jsonb(new) ->> TG_ARGV[1];
+  end if;
+
+  if old_key is not null and old_key is distinct from new_key then
+    insert into data_changes (entity, entity_key, op) values (TG_ARGV[0], old_key, 'delete');
+  end if;
+  if new_key is not null then
+    insert into data_changes (entity, entity_key, op) values (TG_ARGV[0], new_key, 'upsert');
+  end if;
+
+  return null;
+end;
+$$;
+
+drop trigger if exists admins_record_change on admins;
+create trigger admins_record_change
+  after insert or update or delete on admins
+  for each row execute function record_data_change('admin', 'admin_username');
+
+drop trigger if exists tokens_record_change on tokens;
+create trigger tokens_record_change
+  after insert or update or delete on tokens
+  for each row execute function record_data_change('token', 'base_token');
+
+-- Drop log entries older than p_keep and move the horizon up to them
+create or replace function prune_data_changes(p_keep interval default interval '7 days')
+returns bigint
+language plpgsql
+as $$
+declare
+  cutoff bigint;
+begin
+  select max(id) into cutoff from data_changes where changed_at < now() - p_keep;
+  if cutoff is null then
+    return 0;
+  end if;
+
+  delete from data_changes where id <= cutoff;
+  update data_changes_horizon set pruned_through = greatest(pruned_through, cutoff);
+
+  return cutoff;
+end;
+$$;
@@ -0,0 +1,6 @@
+-- Precompressed snapshots of the full admins/tokens dump (see api/_lib/data-snapshots.js)
+
+-- Private bucket: only the service role reads and writes it
+insert into storage.buckets (id, name, public)
+values ('data-snapshots', 'data-snapshots', false)
+on conflict (id) do nothing;
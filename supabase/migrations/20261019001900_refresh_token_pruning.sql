@@ -0,0 +1,25 @@
+-- Cleanup for refresh_tokens
+--
+-- /api/validate revokes a device's previous family before issuing a new one,
+-- so revoked and expired rows pile up. prune_refresh_tokens() deletes them once
+-- they're older than p_keep. Used tokens are kept until they expire: reuse
+-- detection needs them. Schedule it with pg_cron, e.g.:
+--   select cron.schedule('prune-refresh-tokens', '41 3 * * *', $$select prune_refresh_tokens()$$);
+
+create index if not exists refresh_tokens_expires_at_idx on refresh_tokens (expires_at);
+
+create or replace function prune_refresh_tokens(p_keep interval default interval '7 days')
+returns bigint
+language plpgsql
+as $$
+declare
+  removed bigint;
+begin
+  delete from refresh_tokens
+   where expires_at < now() - p_keep
+      or revoked_at < now() - p_keep;
+
+  get diagnostics removed = row_count;
+  return removed;
+end;
+$$;
@@ -0,0 +1,5 @@
+-- Usage lookups read api_requests (license keys, IPs), so only the service
+-- role may call them. The API calls both with the service key.
+
+revoke execute on function get_credit_usage(text, timestamptz, timestamptz) from public, anon, authenticated;
+revoke execute on function get_usage_breakdown(text, timestamptz) from public, anon, authenticated;
@@ -0,0 +1,81 @@
+-- Read the change feed in commit order
+--
+-- Identity IDs are handed out at insert time, not at commit time. A long
+-- transaction can commit a lower ID after a client's cursor has already moved
+-- past a higher one from a shorter transaction, and that change was skipped.
+--
+-- Each entry now records the transaction that wrote it. Readers only see
+-- entries from transactions older than every transaction still in progress
+-- (the xmin of the current snapshot), ordered by (txid, id), and cursors hold
+-- that position. Anything that commits later has a txid at or above the xmin
+-- readers used, so it always sorts after what they have already seen.
+--
+-- Existing entries all get this migration's txid, and /api/changes answers
+-- cursors from before it with resyncRequired.
+
+alter table data_changes
+  add column if not exists txid xid8 not null default pg_current_xact_id();
+
+create index if not exists data_changes_position_idx on data_changes (txid, id);
+
+alter table data_changes_horizon
+  add column if not exists pruned_through_txid xid8 not null default '0';
+
+-- Newest entry readers may see; no row if there is none
+create or replace function data_changes_head()
+returns table (txid xid8, id bigint)
+language sql
+stable
+as $$
+  select c.txid, c.id
+    from data_changes c
+   where c.txid < pg_snapshot_xmin(pg_current_snapshot())
+   order by c.txid desc, c.id desc
+   limit 1;
+$$;
+
+-- Entries after a position, oldest first, leaving out transactions that
+-- could still commit entries before them
+create or replace function read_data_changes(p_after_txid xid8, p_after_id bigint, p_limit integer)
+returns table (txid xid8, id bigint, entity text, entity_key text, op text)
+language sql
+stable
+as $$
+  select c.txid, c.id, c.entity, c.entity_key, c.op
+    from data_changes c
+   where (c.txid, c.id) > (p_after_txid, p_after_id)
+     and c.txid < pg_snapshot_xmin(pg_current_snapshot())
+   order by c.txid, c.id
+   limit p_limit;
+$$;
+
+-- Drop visible log entries older than p_keep and move the horizon up to them
+create or replace function prune_data_changes(p_keep interval default interval '7 days')
+returns bigint
+language plpgsql
+as $$
+declare
+  cutoff record;
+begin
+  select c.txid, c.id into cutoff
+    from data_changes c
+   where c.changed_at < now() - p_keep
+     and c.txid < pg_snapshot_xmin(pg_current_snapshot())
+   order by c.txid desc, c.id desc
+   limit 1;
+  if not found then
+    return 0;
+  end if;
+
+  delete from data_changes where (txid, id) <= (cutoff.txid, cutoff.id);
+  update data_changes_horizon
+     set pruned_through_txid = cutoff.txid, pruned_through = cutoff.id
+   where (pruned_through_txid, pruned_through) < (cutoff.txid, cutoff.id);
+
+  return cutoff.id;
+end;
+$$;
+
+-- The log is only read with the service key
+revoke execute on function data_changes_head() from public, anon, authenticated;
+revoke execute on function read_data_changes(xid8, bigint, integer) from public, anon, authenticated;
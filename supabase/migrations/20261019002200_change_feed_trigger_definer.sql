@@ -0,0 +1,8 @@
+-- Let any role that writes admins/tokens log its changes
+--
+-- data_changes has RLS on and no policies, and record_data_change() ran as the
+-- caller, so writes from anything but the service role or the table owner
+-- (e.g. a pipeline using anon or authenticated credentials) failed with an RLS
+-- violation. The trigger now runs as its owner.
+
+alter function record_data_change() security definer set search_path = public;
@@ -0,0 +1,20 @@
+-- Cleanup for upstream_cache
+--
+-- Entries are never served once past stale_until, but nothing deleted them, so
+-- every username and community ever looked up stayed in the table.
+-- prune_upstream_cache() deletes them. Schedule it with pg_cron, e.g.:
+--   select cron.schedule('prune-upstream-cache', '29 * * * *', $$select prune_upstream_cache()$$);
+
+create or replace function prune_upstream_cache()
+returns bigint
+language plpgsql
+as $$
+declare
+  removed bigint;
+begin
+  delete from upstream_cache where stale_until < now();
+
+  get diagnostics removed = row_count;
+  return removed;
+end;
+$$;
@@ -0,0 +1,16 @@
+-- Indexed lookup of an admin's rows by the name clients see
+--
+-- admin_username casing isn't consistent, and /api/admins/{username} matched it
+-- with ilike, which can't use an index: every request scanned tokens three
+-- times. admin_key is the name normalized the way clients show it (lowercased
+-- and trimmed), so the route can filter with an indexed equality instead.
+-- Postgres computes it; writers must leave it out.
+
+alter table admins
+  add column if not exists admin_key text generated always as (lower(btrim(admin_username))) stored;
+
+alter table tokens
+  add column if not exists admin_key text generated always as (lower(btrim(admin_username))) stored;
+
+create index if not exists admins_admin_key_idx on admins (admin_key);
+create index if not exists tokens_admin_key_idx on tokens (admin_key);